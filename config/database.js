@@ -1,12 +1,13 @@
 const mongoose = require('mongoose');
+const logger = require('../utils/logger').child({ component: 'database' });
 
 async function connectDatabase() {
   try {
     const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/wa-otp-gateway';
     await mongoose.connect(uri);
-    console.log('✅ MongoDB connected successfully');
+    logger.info('MongoDB connected');
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error);
+    logger.error('MongoDB connection error', { err: error });
     throw error;
   }
 }
@@ -14,7 +15,7 @@ async function connectDatabase() {
 async function disconnectDatabase() {
   if (mongoose.connection.readyState === 1) {
     await mongoose.disconnect();
-    console.log('MongoDB disconnected');
+    logger.info('MongoDB disconnected');
   }
 }
 
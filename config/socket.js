@@ -1,22 +1,83 @@
 const { Server } = require('socket.io');
+const logger = require('../utils/logger').child({ component: 'socket' });
+const Settings = require('../models/Settings');
+const { authenticateToken } = require('../middleware/autentikasi');
+const { maskPhoneNumber } = require('../utils/helpers');
+
+// Socket dashboard dikelompokkan per role; admin menerima data lengkap
+const ADMIN_ROOM = 'admins';
+const USER_ROOM = 'users';
+const MAX_TIMER_MS = 2 ** 31 - 1; // Batas setTimeout
+
+let io;
 
 function setupSocket(server, frontendUrl) {
-  const io = new Server(server, {
+  io = new Server(server, {
     cors: {
       origin: frontendUrl,
       methods: ["GET", "POST"]
     }
   });
 
+  // Sama seperti route dashboard: wajib access token, dari auth.token atau header Authorization
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+      const user = token ? await authenticateToken(token) : null;
+      if (!user) {
+        return next(new Error('Token tidak valid'));
+      }
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      logger.error('Socket authentication error', { err: error });
+      next(new Error('Authentication error'));
+    }
+  });
+
   io.on('connection', (socket) => {
-    console.log('🔌 Client connected:', socket.id);
-    
+    const { user } = socket.data;
+    socket.join(user.role === 'admin' ? ADMIN_ROOM : USER_ROOM);
+    logger.debug('Socket client connected', { socket_id: socket.id, user_id: user.userId });
+
+    // Putus saat access token kedaluwarsa; client menyambung ulang dengan token baru
+    const expiryTimer = user.exp
+      ? setTimeout(() => socket.disconnect(true), Math.min(Math.max(user.exp * 1000 - Date.now(), 0), MAX_TIMER_MS))
+      : null;
+
     socket.on('disconnect', () => {
-      console.log('🔌 Client disconnected:', socket.id);
+      clearTimeout(expiryTimer);
+      logger.debug('Socket client disconnected', { socket_id: socket.id });
     });
   });
 
   return io;
 }
 
-module.exports = { setupSocket };
\ No newline at end of file
+// Instance Socket.IO untuk service yang tidak punya akses ke req.app
+function getIO() {
+  return io;
+}
+
+/**
+ * Mengirim event ke socket dashboard yang sudah login. Admin menerima payload
+ * apa adanya; user lain menerima userPayload jika diberikan, selain itu payload
+ * yang sama dengan nomor telepon disamarkan bila mask_phone_for_non_admin aktif.
+ * @param {string} event
+ * @param {object} payload
+ * @param {object} [userPayload]
+ */
+async function emitToDashboard(event, payload, userPayload) {
+  if (!io) return;
+  io.to(ADMIN_ROOM).emit(event, payload);
+
+  if (!userPayload) {
+    const { mask_phone_for_non_admin } = await Settings.current();
+    userPayload = mask_phone_for_non_admin && payload.phone
+      ? { ...payload, phone: maskPhoneNumber(payload.phone) }
+      : payload;
+  }
+  io.to(USER_ROOM).emit(event, userPayload);
+}
+
+module.exports = { setupSocket, getIO, emitToDashboard };
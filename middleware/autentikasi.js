@@ -1,7 +1,29 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Memverifikasi access token. Token yang dibuat sebelum password diganti/direset
+ * ditolak, begitu juga token milik user yang sudah dihapus.
+ * @param {string} token
+ * @returns {Promise<object|null>} - Payload JWT, atau null jika tidak valid.
+ */
+async function authenticateToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('password_changed_at');
+  // iat dalam detik; token yang dibuat di detik yang sama dengan perubahan tetap diterima
+  const changedAt = user?.password_changed_at ? Math.floor(user.password_changed_at.getTime() / 1000) : 0;
+  if (!user || decoded.iat < changedAt) return null;
+  return decoded;
+}
 
 // Verifikasi JWT token
-function verifyToken(req, res, next) {
+async function verifyToken(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
   
   if (!token) {
@@ -10,18 +32,39 @@ function verifyToken(req, res, next) {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = await authenticateToken(token);
   } catch (error) {
+    return res.status(500).json({ error: 'Authentication error' });
+  }
+  if (!decoded) {
     return res.status(401).json({ 
       error: 'Token tidak valid' 
     });
   }
+
+  req.user = decoded;
+  next();
+}
+
+// Batasi route untuk role tertentu (dari User.role di JWT); pasang setelah verifyToken
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ 
+        error: 'Akses ditolak' 
+      });
+    }
+    next();
+  };
 }
 
+const requireAdmin = requireRole('admin');
+
 module.exports = {
+  authenticateToken,
   verifyToken,
-  // ...existing exports
+  requireRole,
+  requireAdmin
 };
\ No newline at end of file
@@ -1,22 +1,43 @@
-const Settings = require('../models/Settings');
+const ApiKey = require('../models/ApiKey');
+const { findActiveApiKey } = require('../services/apiKeys');
+const logger = require('../utils/logger').child({ component: 'auth' });
 
-async function validateApiKey(req, res, next) {
-  try {
-    const { api_key } = req.body;
-    
-    if (!api_key) {
-      return res.status(401).json({ error: 'API key is required' });
+/**
+ * Memvalidasi API key dari body (api_key) atau header X-API-Key dan,
+ * jika diberikan, memastikan key punya scope tersebut. Key yang valid
+ * tersedia di req.apiKey.
+ * @param {string} [scope] - 'send', 'verify' atau 'read-logs'.
+ */
+function requireApiKey(scope) {
+  return async function (req, res, next) {
+    try {
+      const api_key = req.body?.api_key || req.get('X-API-Key');
+      
+      if (!api_key) {
+        return res.status(401).json({ error: 'API key is required' });
+      }
+      
+      const { apiKey, error } = await findActiveApiKey(api_key);
+      if (error) {
+        return res.status(401).json({ error });
+      }
+      
+      if (scope && !apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+      }
+      
+      req.apiKey = apiKey;
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { last_used_at: new Date() } })
+        .catch(err => logger.error('Failed to update API key usage', { err }));
+      
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Authentication error' });
     }
-    
-    const settings = await Settings.findOne();
-    if (!settings || settings.api_key !== api_key) {
-      return res.status(401).json({ error: 'Invalid API key' });
-    }
-    
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Authentication error' });
-  }
+  };
 }
 
-module.exports = { validateApiKey };
\ No newline at end of file
+// Tanpa pengecekan scope
+const validateApiKey = requireApiKey();
+
+module.exports = { validateApiKey, requireApiKey };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger').child({ component: 'idempotency' });
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON dengan urutan key yang stabil, supaya body yang sama selalu menghasilkan hash yang sama
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Hash body request tanpa api_key. File upload multipart (req.file) ikut dihitung
+ * lewat nama, mimetype dan hash isinya, supaya file berbeda dengan key yang sama ditolak.
+ * @param {object} body
+ * @param {object} [file] - req.file dari multer (memory storage).
+ * @returns {string}
+ */
+function hashRequestBody(body, file) {
+  const { api_key, ...rest } = body || {};
+  const hash = crypto.createHash('sha256').update(JSON.stringify(canonicalize(rest)));
+  if (file) {
+    const fileHash = crypto.createHash('sha256').update(file.buffer || '').digest('hex');
+    hash.update(JSON.stringify([file.originalname, file.mimetype, fileHash]));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Menangani header Idempotency-Key. Request ulang dengan key dan body yang sama
+ * dalam window settings mendapat respons asli tanpa diproses lagi; body berbeda
+ * dengan key yang sama ditolak 409. Hanya respons 2xx yang disimpan, sehingga
+ * request yang gagal boleh diulang dengan key yang sama.
+ * Harus dipasang setelah requireApiKey.
+ */
+async function idempotency(req, res, next) {
+  const headerKey = req.get('Idempotency-Key');
+  if (headerKey === undefined) return next();
+
+  if (!headerKey || headerKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+      code: 'invalid_idempotency_key'
+    });
+  }
+
+  try {
+    const key = `${req.apiKey.id}:${req.baseUrl}${req.path}:${headerKey}`;
+    const requestHash = hashRequestBody(req.body, req.file);
+    const settings = await Settings.current();
+
+    try {
+      await IdempotencyKey.create({
+        key,
+        request_hash: requestHash,
+        expires_at: new Date(Date.now() + settings.idempotency_window_seconds * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ key });
+      if (existing && existing.request_hash !== requestHash) {
+        return res.status(409).json({
+          error: 'Idempotency-Key was already used with a different request body',
+          code: 'idempotency_key_reused'
+        });
+      }
+      // Request pertama belum selesai (atau baru saja gagal dan melepas key)
+      if (!existing || existing.status === 'processing') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'idempotency_in_progress'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Simpan respons setelah handler selesai; respons non-2xx melepas key
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const store = res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne(
+          { key },
+          { $set: { status: 'completed', response_status: res.statusCode, response_body: body } }
+        )
+        : IdempotencyKey.deleteOne({ key });
+      store.catch(error => logger.error('Error saving idempotency key', { err: error }));
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Idempotency check error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+module.exports = { idempotency };
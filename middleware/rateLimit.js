@@ -0,0 +1,141 @@
+const RateLimit = require('../models/RateLimit');
+const Settings = require('../models/Settings');
+const { formatPhoneNumber } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'rate-limit' });
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Window terpisah untuk cek nomor (onWhatsApp); enumerasi massal bisa membuat nomor gateway diblokir
+const LOOKUPS_PER_KEY_PER_MINUTE = parseInt(process.env.LOOKUP_RATE_LIMIT_PER_KEY_PER_MINUTE) || 60;
+const LOOKUPS_GLOBAL_PER_MINUTE = parseInt(process.env.LOOKUP_RATE_LIMIT_GLOBAL_PER_MINUTE) || 200;
+// Kuota penerima send-bulk per API key; pengiriman sendiri sudah di-pace oleh queue
+const BULK_RECIPIENTS_PER_KEY_PER_HOUR = parseInt(process.env.BULK_RATE_LIMIT_RECIPIENTS_PER_KEY_PER_HOUR) || 5000;
+
+/**
+ * Menambah counter fixed-window dan mengembalikan info pelanggaran jika batas terlewati.
+ * @param {string} scope - Mis. 'ip', 'key', 'phone', 'global' atau 'bulk-key'.
+ * @param {string} id - Identitas di dalam scope.
+ * @param {number} limit - Batas per window; 0 berarti tidak dibatasi.
+ * @param {number} windowMs
+ * @param {number} [cost=1] - Jumlah yang dihitung, mis. jumlah penerima pesan massal.
+ *   Hit dengan cost > 1 yang ditolak dikembalikan supaya tidak menghabiskan kuota.
+ * @returns {object|null} - { scope, limit, retry_after } atau null.
+ */
+async function hit(scope, id, limit, windowMs, cost = 1) {
+  if (!limit) return null;
+
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const key = `${scope}:${id}:${windowStart}`;
+  const update = {
+    $inc: { count: cost },
+    $setOnInsert: { expires_at: new Date(windowStart + windowMs) }
+  };
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Dua upsert paralel pada key baru: salah satunya kena duplicate key, cukup ulangi
+    if (error.code !== 11000) throw error;
+    counter = await RateLimit.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  if (counter.count > limit) {
+    if (cost > 1) {
+      await RateLimit.updateOne({ key }, { $inc: { count: -cost } });
+    }
+    return {
+      scope,
+      limit,
+      retry_after: Math.max(Math.ceil((windowStart + windowMs - now) / 1000), 1)
+    };
+  }
+  return null;
+}
+
+/**
+ * Menjalankan daftar [scope, id, limit, windowMs, cost] dan membalas 429 pada
+ * pelanggaran pertama.
+ * @returns {boolean} - true jika request boleh lanjut.
+ */
+async function applyLimits(res, checks) {
+  for (const [scope, id, limit, windowMs, cost] of checks) {
+    const exceeded = await hit(scope, id, limit, windowMs, cost);
+    if (exceeded) {
+      res.set('Retry-After', String(exceeded.retry_after));
+      res.status(429).json({
+        error: `Rate limit exceeded (${exceeded.scope})`,
+        code: 'rate_limited',
+        scope: exceeded.scope,
+        limit: exceeded.limit,
+        retry_after: exceeded.retry_after
+      });
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Batas pengiriman untuk send-otp: per IP, per API key, per nomor tujuan dan global.
+ * Harus dipasang setelah requireApiKey dan validasi nomor telepon.
+ */
+async function sendRateLimit(req, res, next) {
+  try {
+    const settings = await Settings.current();
+    const allowed = await applyLimits(res, [
+      ['ip', req.ip, settings.rate_limit_per_ip_per_minute, MINUTE],
+      ['key', req.apiKey.id, settings.rate_limit_per_key_per_minute, MINUTE],
+      ['phone', formatPhoneNumber(req.body.phone), settings.rate_limit_per_phone_per_hour, HOUR],
+      ['global', 'all', settings.rate_limit_global_per_minute, MINUTE]
+    ]);
+    if (allowed) next();
+  } catch (error) {
+    logger.error('Rate limit error', { err: error });
+    res.status(500).json({ error: 'Rate limit error' });
+  }
+}
+
+/**
+ * Batas untuk send-bulk: satu hit per IP, lalu jumlah penerima dihitung ke kuota
+ * bulk per API key. Window key dan global per menit milik pengiriman tunggal tidak
+ * dipakai karena job bulk dikirim bertahap oleh queue. Harus dipasang setelah
+ * req.body.recipients terisi.
+ */
+async function bulkRateLimit(req, res, next) {
+  try {
+    const settings = await Settings.current();
+    const count = req.body.recipients.length;
+    const allowed = await applyLimits(res, [
+      ['ip', req.ip, settings.rate_limit_per_ip_per_minute, MINUTE],
+      ['bulk-key', req.apiKey.id, BULK_RECIPIENTS_PER_KEY_PER_HOUR, HOUR, count]
+    ]);
+    if (allowed) next();
+  } catch (error) {
+    logger.error('Rate limit error', { err: error });
+    res.status(500).json({ error: 'Rate limit error' });
+  }
+}
+
+/**
+ * Batas untuk check-number(s): dihitung per nomor yang dicek, per API key dan global.
+ * Harus dipasang setelah requireApiKey dan validateCheckNumbersRequest.
+ */
+async function lookupRateLimit(req, res, next) {
+  try {
+    const settings = await Settings.current();
+    const count = req.method === 'GET' ? 1 : req.body.phones.length;
+    const allowed = await applyLimits(res, [
+      ['ip', req.ip, settings.rate_limit_per_ip_per_minute, MINUTE],
+      ['lookup-key', req.apiKey.id, LOOKUPS_PER_KEY_PER_MINUTE, MINUTE, count],
+      ['lookup-global', 'all', LOOKUPS_GLOBAL_PER_MINUTE, MINUTE, count]
+    ]);
+    if (allowed) next();
+  } catch (error) {
+    logger.error('Rate limit error', { err: error });
+    res.status(500).json({ error: 'Rate limit error' });
+  }
+}
+
+module.exports = { hit, sendRateLimit, bulkRateLimit, lookupRateLimit };
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Id dari klien/proxy dipakai apa adanya jika formatnya aman untuk log dan header
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Memberi setiap request id korelasi: X-Request-Id dari klien jika valid,
+ * selain itu UUID baru. Id tersedia di req.id, dikirim balik di header
+ * X-Request-Id, dan otomatis ikut di semua log selama request diproses.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  logger.runWithContext({ request_id: req.id }, next);
+}
+
+module.exports = { requestId };
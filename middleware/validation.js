@@ -1,31 +1,496 @@
-const { isValidPhoneNumber } = require('../utils/helpers');
+const { PHONE_ERROR_MESSAGES, normalizePhoneNumber, isValidSessionId } = require('../utils/helpers');
+const { SCOPES: API_KEY_SCOPES } = require('../models/ApiKey');
+const { DEFAULT_TIMEZONE, isValidTimeZone, parseDateTimeInZone } = require('../utils/time');
+
+// Kode error nomor telepon (invalid_phone, invalid_phone_length, not_mobile_number) atau null
+function getPhoneError(phone) {
+  const normalized = normalizePhoneNumber(phone);
+  return normalized.valid ? null : normalized.error_code;
+}
 
 function validateOtpRequest(req, res, next) {
-  const { phone, message } = req.body;
+  const { phone, message, session, template, variables, language } = req.body;
+  
+  // message opsional: tanpa message, gateway membuat kode OTP dengan teks default
+  if (!phone) {
+    return res.status(400).json({ 
+      error: 'Phone is required' 
+    });
+  }
   
-  if (!phone || !message) {
+  const phoneError = getPhoneError(phone);
+  if (phoneError) {
     return res.status(400).json({ 
-      error: 'Phone and message are required' 
+      error: PHONE_ERROR_MESSAGES[phoneError],
+      code: phoneError
     });
   }
   
-  if (!isValidPhoneNumber(phone)) {
+  if (message !== undefined && typeof message !== 'string') {
     return res.status(400).json({ 
-      error: 'Invalid phone number format' 
+      error: 'Message must be a string' 
     });
   }
   
-  if (message.length > 1000) {
+  if (message && message.length > 1000) {
     return res.status(400).json({ 
       error: 'Message too long (max 1000 characters)' 
     });
   }
   
+  if (session !== undefined && !isValidSessionId(session)) {
+    return res.status(400).json({ 
+      error: 'Invalid session id' 
+    });
+  }
+  
+  if (template !== undefined) {
+    if (message) {
+      return res.status(400).json({ 
+        error: 'Use either message or template, not both' 
+      });
+    }
+    if (typeof template !== 'string' || !template) {
+      return res.status(400).json({ 
+        error: 'Template must be a template name' 
+      });
+    }
+  }
+  
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ 
+      error: 'Variables must be an object' 
+    });
+  }
+  
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    return res.status(400).json({ 
+      error: 'Invalid language code' 
+    });
+  }
+  
+  if (req.body.check_number !== undefined && typeof req.body.check_number !== 'boolean') {
+    return res.status(400).json({ 
+      error: 'check_number must be a boolean' 
+    });
+  }
+  
+  const scheduleError = getScheduleError(req.body);
+  if (scheduleError) {
+    return res.status(400).json({ 
+      error: scheduleError 
+    });
+  }
+  
+  next();
+}
+
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Validasi send_at/timezone/on_missed; dipakai send-otp dan reschedule
+function getScheduleError({ send_at, timezone, on_missed }, required = false) {
+  if (timezone !== undefined && !isValidTimeZone(timezone)) {
+    return 'Invalid timezone (use an IANA name such as Asia/Jakarta)';
+  }
+  
+  if (on_missed !== undefined && !['skip', 'send'].includes(on_missed)) {
+    return "on_missed must be 'skip' or 'send'";
+  }
+  
+  if (send_at === undefined) {
+    return required ? 'send_at is required' : null;
+  }
+  
+  const sendAt = parseDateTimeInZone(send_at, timezone || DEFAULT_TIMEZONE);
+  if (!sendAt) {
+    return 'send_at must be an ISO 8601 date-time';
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    return 'send_at must be in the future';
+  }
+  if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return 'send_at must be within 90 days';
+  }
+  return null;
+}
+
+function validateRescheduleRequest(req, res, next) {
+  const scheduleError = getScheduleError(req.body, true);
+  if (scheduleError) {
+    return res.status(400).json({ 
+      error: scheduleError 
+    });
+  }
+  
+  next();
+}
+
+const MESSAGE_TYPES = ['text', 'image', 'document', 'audio', 'location'];
+
+// Field multipart selalu string; JSON boleh number
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+}
+
+function validateSendMessageRequest(req, res, next) {
+  const { phone, session, type = 'text', text, caption, media_url, media_base64, mime_type, file_name, location } = req.body;
+  
+  if (!phone) {
+    return res.status(400).json({ 
+      error: 'Phone is required' 
+    });
+  }
+  
+  const phoneError = getPhoneError(phone);
+  if (phoneError) {
+    return res.status(400).json({ 
+      error: PHONE_ERROR_MESSAGES[phoneError],
+      code: phoneError
+    });
+  }
+  
+  if (session !== undefined && !isValidSessionId(session)) {
+    return res.status(400).json({ 
+      error: 'Invalid session id' 
+    });
+  }
+  
+  if (!MESSAGE_TYPES.includes(type)) {
+    return res.status(400).json({ 
+      error: `Type must be one of: ${MESSAGE_TYPES.join(', ')}` 
+    });
+  }
+  
+  if (type === 'text' && (typeof text !== 'string' || !text || text.length > 4096)) {
+    return res.status(400).json({ 
+      error: 'Text is required (max 4096 characters)' 
+    });
+  }
+  
+  if (['image', 'document', 'audio'].includes(type)) {
+    const sources = [req.file, media_url, media_base64].filter(Boolean);
+    if (sources.length !== 1) {
+      return res.status(400).json({ 
+        error: 'Provide exactly one of file, media_url or media_base64' 
+      });
+    }
+    if (media_url && (!isValidUrl(media_url) || !/^https?:/i.test(media_url))) {
+      return res.status(400).json({ 
+        error: 'media_url must be an http(s) URL' 
+      });
+    }
+    if (media_base64 !== undefined && typeof media_base64 !== 'string') {
+      return res.status(400).json({ 
+        error: 'media_base64 must be a string' 
+      });
+    }
+    if (mime_type !== undefined && typeof mime_type !== 'string') {
+      return res.status(400).json({ 
+        error: 'mime_type must be a string' 
+      });
+    }
+    if (file_name !== undefined && (typeof file_name !== 'string' || file_name.length > 255)) {
+      return res.status(400).json({ 
+        error: 'file_name must be a string (max 255 characters)' 
+      });
+    }
+  }
+  
+  if (caption !== undefined) {
+    if (!['image', 'document'].includes(type)) {
+      return res.status(400).json({ 
+        error: 'Caption is only supported for image and document messages' 
+      });
+    }
+    if (typeof caption !== 'string' || caption.length > 1024) {
+      return res.status(400).json({ 
+        error: 'Caption must be a string (max 1024 characters)' 
+      });
+    }
+  }
+  
+  if (type === 'location') {
+    if (!isPlainObject(location)) {
+      return res.status(400).json({ 
+        error: 'Location must be an object with latitude and longitude' 
+      });
+    }
+    const latitude = toNumber(location.latitude);
+    const longitude = toNumber(location.longitude);
+    if (typeof latitude !== 'number' || !(latitude >= -90 && latitude <= 90)
+      || typeof longitude !== 'number' || !(longitude >= -180 && longitude <= 180)) {
+      return res.status(400).json({ 
+        error: 'Location latitude must be between -90 and 90 and longitude between -180 and 180' 
+      });
+    }
+    if ((location.name !== undefined && typeof location.name !== 'string')
+      || (location.address !== undefined && typeof location.address !== 'string')) {
+      return res.status(400).json({ 
+        error: 'Location name and address must be strings' 
+      });
+    }
+    location.latitude = latitude;
+    location.longitude = longitude;
+  }
+  
+  const scheduleError = getScheduleError(req.body);
+  if (scheduleError) {
+    return res.status(400).json({ 
+      error: scheduleError 
+    });
+  }
+  
+  next();
+}
+
+// Opsi yang bisa dikirim lewat query string saat body berupa CSV (text/csv)
+const BULK_QUERY_FIELDS = ['session', 'template', 'message', 'language', 'name'];
+
+function validateBulkRequest(req, res, next) {
+  if (req.is('text/csv')) {
+    const options = {};
+    for (const field of BULK_QUERY_FIELDS) {
+      if (req.query[field] !== undefined) options[field] = req.query[field];
+    }
+    req.body = { ...options, csv: typeof req.body === 'string' ? req.body : '' };
+  }
+  
+  const { recipients, csv, message, template, variables, language, session, name } = req.body || {};
+  
+  if ((recipients === undefined) === (csv === undefined)) {
+    return res.status(400).json({ 
+      error: 'Provide either recipients or csv' 
+    });
+  }
+  
+  if (recipients !== undefined) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ 
+        error: 'Recipients must be a non-empty array' 
+      });
+    }
+    const invalid = recipients.findIndex(recipient =>
+      !isPlainObject(recipient) || (recipient.variables !== undefined && !isPlainObject(recipient.variables))
+    );
+    if (invalid !== -1) {
+      return res.status(400).json({ 
+        error: `Recipient ${invalid} must be an object with phone and optional variables` 
+      });
+    }
+  }
+  
+  if (csv !== undefined && (typeof csv !== 'string' || !csv.trim())) {
+    return res.status(400).json({ 
+      error: 'CSV must be a non-empty string' 
+    });
+  }
+  
+  if (!message === !template) {
+    return res.status(400).json({ 
+      error: 'Provide either message or template' 
+    });
+  }
+  
+  if (message !== undefined) {
+    if (typeof message !== 'string' || message.length > 1000) {
+      return res.status(400).json({ 
+        error: 'Message must be a string (max 1000 characters)' 
+      });
+    }
+    if (/\{\{\s*code\s*\}\}/.test(message)) {
+      return res.status(400).json({ 
+        error: 'Bulk messages cannot contain OTP codes; use send-otp instead' 
+      });
+    }
+  }
+  
+  if (template !== undefined && typeof template !== 'string') {
+    return res.status(400).json({ 
+      error: 'Template must be a template name' 
+    });
+  }
+  
+  if (variables !== undefined && !isPlainObject(variables)) {
+    return res.status(400).json({ 
+      error: 'Variables must be an object' 
+    });
+  }
+  
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    return res.status(400).json({ 
+      error: 'Invalid language code' 
+    });
+  }
+  
+  if (session !== undefined && !isValidSessionId(session)) {
+    return res.status(400).json({ 
+      error: 'Invalid session id' 
+    });
+  }
+  
+  if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+    return res.status(400).json({ 
+      error: 'Name must be a string (max 100 characters)' 
+    });
+  }
+  
+  next();
+}
+
+const MAX_CHECK_NUMBERS = 50;
+
+function validateCheckNumbersRequest(req, res, next) {
+  // GET /check-number?phone=... atau POST /check-numbers { phones: [...] }
+  const phones = req.method === 'GET' ? [req.query.phone] : req.body.phones;
+  const session = req.method === 'GET' ? req.query.session : req.body.session;
+  
+  if (!Array.isArray(phones) || phones.length === 0 || phones.length > MAX_CHECK_NUMBERS) {
+    return res.status(400).json({ 
+      error: req.method === 'GET' ? 'Phone is required' : `Phones must be an array of 1-${MAX_CHECK_NUMBERS} numbers` 
+    });
+  }
+  
+  for (const phone of phones) {
+    const phoneError = getPhoneError(phone);
+    if (phoneError) {
+      return res.status(400).json({ 
+        error: `${PHONE_ERROR_MESSAGES[phoneError]}: ${phone}`,
+        code: phoneError
+      });
+    }
+  }
+  
+  if (session !== undefined && !isValidSessionId(session)) {
+    return res.status(400).json({ 
+      error: 'Invalid session id' 
+    });
+  }
+  
+  next();
+}
+
+function validateVerifyOtpRequest(req, res, next) {
+  const { id, phone, code } = req.body;
+  
+  if (!id && !phone) {
+    return res.status(400).json({ 
+      error: 'Either id or phone is required' 
+    });
+  }
+  
+  const phoneError = phone ? getPhoneError(phone) : null;
+  if (phoneError) {
+    return res.status(400).json({ 
+      error: PHONE_ERROR_MESSAGES[phoneError],
+      code: phoneError
+    });
+  }
+  
+  if (!code || (typeof code !== 'string' && typeof code !== 'number')) {
+    return res.status(400).json({ 
+      error: 'Code is required' 
+    });
+  }
+  
+  next();
+}
+
+function validateTemplateRequest(req, res, next) {
+  const { name, description, default_language, variants } = req.body;
+  const isCreate = req.method === 'POST';
+  
+  if (isCreate && (!name || typeof name !== 'string' || !TEMPLATE_NAME_PATTERN.test(name))) {
+    return res.status(400).json({ 
+      error: 'Name is required (letters, digits, ., _ or -, max 64 characters)' 
+    });
+  }
+  
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({ 
+      error: 'Description must be a string' 
+    });
+  }
+  
+  if (default_language !== undefined && (typeof default_language !== 'string' || !LANGUAGE_PATTERN.test(default_language))) {
+    return res.status(400).json({ 
+      error: 'Invalid default_language code' 
+    });
+  }
+  
+  if (isCreate || variants !== undefined) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      return res.status(400).json({ 
+        error: 'At least one language variant is required' 
+      });
+    }
+    
+    const languages = new Set();
+    for (const variant of variants) {
+      if (!variant || typeof variant.language !== 'string' || !LANGUAGE_PATTERN.test(variant.language)) {
+        return res.status(400).json({ 
+          error: 'Each variant needs a valid language code' 
+        });
+      }
+      if (typeof variant.body !== 'string' || !variant.body.trim()) {
+        return res.status(400).json({ 
+          error: `Variant ${variant.language} needs a body` 
+        });
+      }
+      if (variant.body.length > 1000) {
+        return res.status(400).json({ 
+          error: `Variant ${variant.language} body too long (max 1000 characters)` 
+        });
+      }
+      const language = variant.language.toLowerCase();
+      if (languages.has(language)) {
+        return res.status(400).json({ 
+          error: `Duplicate variant language ${language}` 
+        });
+      }
+      languages.add(language);
+    }
+  }
+  
+  next();
+}
+
+function validateApiKeyRequest(req, res, next) {
+  const { name, scopes, expires_at } = req.body;
+  
+  if (!name || typeof name !== 'string' || name.length > 64) {
+    return res.status(400).json({ 
+      error: 'Name is required (max 64 characters)' 
+    });
+  }
+  
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ 
+        error: 'Scopes must be a non-empty array' 
+      });
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ 
+        error: `Unknown scopes: ${unknown.join(', ')} (allowed: ${API_KEY_SCOPES.join(', ')})` 
+      });
+    }
+  }
+  
+  if (expires_at !== undefined && expires_at !== null) {
+    const expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return res.status(400).json({ 
+        error: 'expires_at must be a future date' 
+      });
+    }
+  }
+  
   next();
 }
 
 function validateSettingsRequest(req, res, next) {
-  const { webhook_url } = req.body;
+  const { webhook_url, allow_registration, otp_length, otp_alphabet, otp_ttl_seconds, otp_max_attempts } = req.body;
   
   if (webhook_url && !isValidUrl(webhook_url)) {
     return res.status(400).json({ 
@@ -33,9 +498,107 @@ function validateSettingsRequest(req, res, next) {
     });
   }
   
+  if (allow_registration !== undefined && typeof allow_registration !== 'boolean') {
+    return res.status(400).json({ 
+      error: 'allow_registration must be a boolean' 
+    });
+  }
+  
+  if (otp_length !== undefined && !isIntegerInRange(otp_length, 4, 12)) {
+    return res.status(400).json({ 
+      error: 'otp_length must be an integer between 4 and 12' 
+    });
+  }
+  
+  if (otp_alphabet !== undefined && (typeof otp_alphabet !== 'string' || new Set(otp_alphabet).size < 2)) {
+    return res.status(400).json({ 
+      error: 'otp_alphabet must contain at least 2 distinct characters' 
+    });
+  }
+  
+  if (otp_ttl_seconds !== undefined && !isIntegerInRange(otp_ttl_seconds, 30, 86400)) {
+    return res.status(400).json({ 
+      error: 'otp_ttl_seconds must be an integer between 30 and 86400' 
+    });
+  }
+  
+  if (otp_max_attempts !== undefined && !isIntegerInRange(otp_max_attempts, 1, 20)) {
+    return res.status(400).json({ 
+      error: 'otp_max_attempts must be an integer between 1 and 20' 
+    });
+  }
+  
+  for (const field of RATE_LIMIT_FIELDS) {
+    if (req.body[field] !== undefined && !isIntegerInRange(req.body[field], 0, 1000000)) {
+      return res.status(400).json({ 
+        error: `${field} must be a non-negative integer (0 disables the limit)` 
+      });
+    }
+  }
+  
+  if (req.body.idempotency_window_seconds !== undefined && !isIntegerInRange(req.body.idempotency_window_seconds, 60, 604800)) {
+    return res.status(400).json({ 
+      error: 'idempotency_window_seconds must be an integer between 60 and 604800' 
+    });
+  }
+  
+  if (req.body.number_check_cache_seconds !== undefined && !isIntegerInRange(req.body.number_check_cache_seconds, 0, 2592000)) {
+    return res.status(400).json({ 
+      error: 'number_check_cache_seconds must be an integer between 0 and 2592000 (0 disables the cache)' 
+    });
+  }
+  
+  const { log_retention_days, log_retention_statuses, message_redaction, mask_phone_for_non_admin } = req.body;
+  
+  if (log_retention_days !== undefined && !isIntegerInRange(log_retention_days, 0, 3650)) {
+    return res.status(400).json({ 
+      error: 'log_retention_days must be an integer between 0 and 3650 (0 keeps logs forever)' 
+    });
+  }
+  
+  if (log_retention_statuses !== undefined && (!Array.isArray(log_retention_statuses)
+    || log_retention_statuses.some(status => !RETENTION_STATUSES.includes(status)))) {
+    return res.status(400).json({ 
+      error: `log_retention_statuses must be an array of: ${RETENTION_STATUSES.join(', ')}` 
+    });
+  }
+  
+  if (message_redaction !== undefined && !['none', 'redact', 'hash'].includes(message_redaction)) {
+    return res.status(400).json({ 
+      error: "message_redaction must be 'none', 'redact' or 'hash'" 
+    });
+  }
+  
+  if (mask_phone_for_non_admin !== undefined && typeof mask_phone_for_non_admin !== 'boolean') {
+    return res.status(400).json({ 
+      error: 'mask_phone_for_non_admin must be a boolean' 
+    });
+  }
+  
   next();
 }
 
+// Log yang masih menunggu dikirim tidak pernah dihapus oleh retensi
+const RETENTION_STATUSES = ['sent', 'delivered', 'read', 'failed', 'success', 'cancelled'];
+
+const RATE_LIMIT_FIELDS = [
+  'rate_limit_per_key_per_minute',
+  'rate_limit_per_phone_per_hour',
+  'rate_limit_per_ip_per_minute',
+  'rate_limit_global_per_minute'
+];
+
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
 function isValidUrl(string) {
   try {
     new URL(string);
@@ -47,5 +610,12 @@ function isValidUrl(string) {
 
 module.exports = {
   validateOtpRequest,
+  validateRescheduleRequest,
+  validateCheckNumbersRequest,
+  validateSendMessageRequest,
+  validateVerifyOtpRequest,
+  validateBulkRequest,
+  validateTemplateRequest,
+  validateApiKeyRequest,
   validateSettingsRequest
 };
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['send', 'verify', 'read-logs'];
+
+// Hanya hash yang disimpan; key asli hanya ditampilkan sekali saat dibuat
+const ApiKeySchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  key_hash: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true }, // Awal key untuk ditampilkan di dashboard
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: API_KEY_SCOPES
+  },
+  expires_at: { type: Date, default: null },
+  revoked_at: { type: Date, default: null },
+  last_used_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const AuditEventSchema = new mongoose.Schema({
+  action: { type: String, required: true }, // mis. 'settings.update', 'auth.login_failed'
+  actor: {
+    type: { type: String, enum: ['user', 'api_key', 'anonymous', 'system'], default: 'anonymous' },
+    id: { type: String, default: null },
+    label: { type: String, default: null } // Email user atau nama API key
+  },
+  target: { type: String, default: null },
+  success: { type: Boolean, default: true },
+  details: { type: String, default: null },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  ip_address: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+AuditEventSchema.index({ created_at: -1 });
+AuditEventSchema.index({ action: 1, created_at: -1 });
+AuditEventSchema.index({ 'actor.id': 1, created_at: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
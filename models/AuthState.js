@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Auth state Baileys per sesi: 'creds' plus signal keys ('<type>-<id>')
+const AuthStateSchema = new mongoose.Schema({
+  session_id: { type: String, required: true },
+  key: { type: String, required: true },
+  value: { type: String, required: true }, // JSON (BufferJSON), terenkripsi jika kunci diatur
+  updated_at: { type: Date, default: Date.now }
+});
+
+AuthStateSchema.index({ session_id: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuthState', AuthStateSchema);
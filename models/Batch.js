@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Pengiriman massal dari /api/send-bulk; hasil per penerima ada di Log (batch_id)
+const BatchSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, default: null },
+  session_id: { type: String, default: 'default' },
+  api_key_id: { type: String, default: null },
+  template: { type: String, default: null },
+  language: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'cancelled'],
+    default: 'processing'
+  },
+  total: { type: Number, required: true },
+  pace_ms: { type: Number, default: 0 },
+  completed_at: { type: Date, default: null },
+  cancelled_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+BatchSchema.index({ created_at: -1 });
+BatchSchema.index({ api_key_id: 1 });
+
+module.exports = mongoose.model('Batch', BatchSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Respons asli untuk request dengan header Idempotency-Key; dihapus oleh TTL index
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // '<api_key_id>:<route>:<Idempotency-Key>'
+  request_hash: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  response_status: { type: Number, default: null },
+  response_body: { type: mongoose.Schema.Types.Mixed, default: null },
+  expires_at: { type: Date, required: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+IdempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
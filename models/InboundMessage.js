@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const InboundMessageSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  session_id: { type: String, default: 'default' },
+  message_id: { type: String, required: true },
+  remote_jid: { type: String, required: true },
+  phone: { type: String, required: true },
+  push_name: { type: String, default: null },
+  message_type: { type: String, default: 'unknown' },
+  text: { type: String, default: null },
+  log_id: { type: String, default: null }, // Log keluar terakhir ke nomor ini
+  received_at: { type: Date, default: Date.now },
+  created_at: { type: Date, default: Date.now }
+});
+
+InboundMessageSchema.index({ session_id: 1, message_id: 1 }, { unique: true });
+InboundMessageSchema.index({ received_at: -1 });
+InboundMessageSchema.index({ phone: 1 });
+InboundMessageSchema.index({ log_id: 1 });
+
+module.exports = mongoose.model('InboundMessage', InboundMessageSchema);
@@ -1,15 +1,58 @@
 const mongoose = require('mongoose');
 
+// Status yang berarti pesan sudah diterima WhatsApp ('success' dari data lama)
+const SENT_STATUSES = ['success', 'sent', 'delivered', 'read'];
+// Status yang tidak akan berubah lagi oleh antrian (receipt masih bisa memajukan 'sent')
+const FINAL_STATUSES = [...SENT_STATUSES, 'failed', 'cancelled'];
+
 const LogSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
-  phone: { type: String, required: true },
-  message: { type: String, required: true },
+  phone: { type: String, required: true }, // E.164 tanpa +
+  country: { type: String, default: null }, // Kode negara ISO dari nomor, mis. 'ID'
+  message: { type: String, required: true }, // Teks, atau caption/ringkasan untuk media
+  message_redacted_at: { type: Date, default: null }, // Isi pesan diganti sesuai settings message_redaction
+  message_type: {
+    type: String,
+    enum: ['text', 'image', 'document', 'audio', 'location'],
+    default: 'text'
+  },
+  media: {
+    mime_type: { type: String, default: null },
+    file_name: { type: String, default: null },
+    size: { type: Number, default: null },
+    url: { type: String, default: null }
+  },
   status: { 
     type: String, 
-    enum: ['success', 'failed', 'pending'], 
+    enum: ['scheduled', 'pending', 'sent', 'delivered', 'read', 'failed', 'success', 'cancelled'], 
     default: 'pending' 
   },
   error_message: { type: String, default: null },
+  session_id: { type: String, default: 'default' },
+  api_key_id: { type: String, default: null }, // ApiKey yang mengirim pesan ini
+  batch_id: { type: String, default: null }, // Batch dari /api/send-bulk
+  request_id: { type: String, default: null }, // X-Request-Id request yang membuat pesan ini
+  template: { type: String, default: null },
+  language: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  // Pengiriman terjadwal (send_at); schedule_missed ditandai jika lewat dari batas toleransi
+  scheduled_at: { type: Date, default: null },
+  timezone: { type: String, default: null },
+  schedule_missed: { type: Boolean, default: false },
+  // Key pesan dari Baileys, dipakai untuk mencocokkan receipt delivered/read
+  message_key: {
+    id: { type: String, default: null },
+    remote_jid: { type: String, default: null }
+  },
+  sent_at: { type: Date, default: null },
+  delivered_at: { type: Date, default: null },
+  read_at: { type: Date, default: null },
+  // OTP yang dibuat gateway: hanya hash yang disimpan, bukan kodenya
+  otp_hash: { type: String, default: null },
+  otp_expires_at: { type: Date, default: null },
+  otp_attempts: { type: Number, default: 0 },
+  otp_max_attempts: { type: Number, default: null },
+  otp_verified_at: { type: Date, default: null },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
 });
@@ -18,5 +61,13 @@ const LogSchema = new mongoose.Schema({
 LogSchema.index({ created_at: -1 });
 LogSchema.index({ status: 1 });
 LogSchema.index({ phone: 1 });
+LogSchema.index({ request_id: 1 }, { sparse: true });
+LogSchema.index({ country: 1 });
+LogSchema.index({ 'message_key.id': 1 });
+LogSchema.index({ batch_id: 1 });
+LogSchema.index({ status: 1, scheduled_at: 1 });
+
+LogSchema.statics.SENT_STATUSES = SENT_STATUSES;
+LogSchema.statics.FINAL_STATUSES = FINAL_STATUSES;
 
-module.exports = mongoose.model('Log', LogSchema);
\ No newline at end of file
+module.exports = mongoose.model('Log', LogSchema);
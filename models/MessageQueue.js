@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Antrian pesan keluar. Job dihapus setelah selesai (berhasil atau gagal permanen)
+// supaya teks pesan (yang bisa berisi kode OTP) tidak tersimpan lebih lama dari perlu.
+const MessageQueueSchema = new mongoose.Schema({
+  log_id: { type: String, required: true, unique: true },
+  phone: { type: String, required: true },
+  message: { type: String, required: true },
+  otp: { type: Boolean, default: false }, // message berupa template OTP; kode dibuat saat dikirim
+  // Pesan selain teks dari /api/send-message: { type, caption, media, location }
+  content: { type: mongoose.Schema.Types.Mixed, default: null },
+  media_data: { type: Buffer, default: null }, // Isi media dari upload/base64
+  session_id: { type: String, default: 'default' },
+  request_id: { type: String, default: null }, // Dibawa ke log pengiriman dan webhook
+  priority: { type: Number, default: 0 }, // Angka kecil dikirim lebih dulu (OTP 0, bulk 1)
+  pace_ms: { type: Number, default: 0 }, // Jeda setelah job ini terkirim, untuk pengiriman massal
+  scheduled_at: { type: Date, default: null }, // Waktu kirim yang diminta (send_at)
+  on_missed: { type: String, enum: ['skip', 'send'], default: 'skip' }, // Jika jadwal terlewat
+  status: {
+    type: String,
+    enum: ['queued', 'processing'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  max_attempts: { type: Number, default: 5 },
+  next_attempt_at: { type: Date, default: Date.now },
+  locked_at: { type: Date, default: null },
+  last_error: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+MessageQueueSchema.index({ status: 1, priority: 1, next_attempt_at: 1 });
+
+module.exports = mongoose.model('MessageQueue', MessageQueueSchema);
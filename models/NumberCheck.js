@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Cache hasil onWhatsApp per nomor; dihapus oleh TTL index setelah masa cache habis
+const NumberCheckSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  exists: { type: Boolean, required: true },
+  jid: { type: String, default: null },
+  checked_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true }
+});
+
+NumberCheckSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('NumberCheck', NumberCheckSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Counter fixed-window; dokumen dihapus otomatis oleh TTL index setelah window berakhir
+const RateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expires_at: { type: Date, required: true }
+});
+
+RateLimitSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Refresh token disimpan sebagai hash. Token dalam satu "family" berasal dari
+// satu login; memakai ulang token yang sudah dirotasi mencabut seluruh family.
+const RefreshTokenSchema = new mongoose.Schema({
+  token_hash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true },
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date, default: null },
+  replaced_by: { type: String, default: null },
+  ip_address: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+RefreshTokenSchema.index({ user: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -2,9 +2,35 @@ const mongoose = require('mongoose');
 
 const SettingsSchema = new mongoose.Schema({
   webhook_url: { type: String, default: '' },
-  api_key: { type: String, required: true },
+  webhook_secret: { type: String, default: null }, // Kunci HMAC untuk signature webhook
+  allow_registration: { type: Boolean, default: true }, // Registrasi publik di /auth/register
+  api_key: { type: String, default: null }, // Lama: dipindahkan ke koleksi ApiKey saat startup
+  // Konfigurasi kode OTP yang dibuat oleh gateway
+  otp_length: { type: Number, default: 6, min: 4, max: 12 },
+  otp_alphabet: { type: String, default: '0123456789' },
+  otp_ttl_seconds: { type: Number, default: 300, min: 30 },
+  otp_max_attempts: { type: Number, default: 5, min: 1 },
+  // Batas pengiriman; 0 berarti tidak dibatasi
+  rate_limit_per_key_per_minute: { type: Number, default: 60, min: 0 },
+  rate_limit_per_phone_per_hour: { type: Number, default: 5, min: 0 },
+  rate_limit_per_ip_per_minute: { type: Number, default: 30, min: 0 },
+  rate_limit_global_per_minute: { type: Number, default: 100, min: 0 },
+  // Lama penyimpanan respons untuk header Idempotency-Key di send-otp
+  idempotency_window_seconds: { type: Number, default: 86400, min: 60 },
+  // Lama cache hasil pengecekan nomor WhatsApp; 0 berarti tidak di-cache
+  number_check_cache_seconds: { type: Number, default: 86400, min: 0 },
+  // Retensi dan privasi log
+  log_retention_days: { type: Number, default: 0, min: 0 }, // 0 berarti log disimpan selamanya
+  log_retention_statuses: { type: [String], default: [] }, // Kosong berarti semua status akhir
+  message_redaction: { type: String, enum: ['none', 'redact', 'hash'], default: 'none' }, // Isi pesan setelah terkirim
+  mask_phone_for_non_admin: { type: Boolean, default: true },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Settings', SettingsSchema);
\ No newline at end of file
+// Ambil dokumen settings aktif, atau dokumen default (belum disimpan) jika belum ada
+SettingsSchema.statics.current = async function() {
+  return (await this.findOne()) || new this();
+};
+
+module.exports = mongoose.model('Settings', SettingsSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const TemplateVariantSchema = new mongoose.Schema({
+  language: { type: String, required: true, lowercase: true },
+  body: { type: String, required: true, maxlength: 1000 }
+}, { _id: false });
+
+const TemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, lowercase: true },
+  description: { type: String, default: '' },
+  default_language: { type: String, default: 'id', lowercase: true },
+  variants: { type: [TemplateVariantSchema], default: [] },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Template', TemplateSchema);
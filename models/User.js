@@ -21,6 +21,27 @@ const UserSchema = new mongoose.Schema({
     enum: ['admin', 'user'],
     default: 'user'
   },
+  // Nomor WhatsApp untuk menerima kode reset password
+  phone: {
+    type: String,
+    default: null
+  },
+  password_changed_at: {
+    type: Date,
+    default: null
+  },
+  reset_code_hash: {
+    type: String,
+    default: null
+  },
+  reset_expires_at: {
+    type: Date,
+    default: null
+  },
+  reset_attempts: {
+    type: Number,
+    default: 0
+  },
   created_at: { 
     type: Date, 
     default: Date.now 
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const WebhookAttemptSchema = new mongoose.Schema({
+  attempt: { type: Number, required: true },
+  status_code: { type: Number, default: null },
+  latency_ms: { type: Number, default: null },
+  response_snippet: { type: String, default: null },
+  error: { type: String, default: null },
+  attempted_at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  event: { type: String, required: true },
+  url: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  log_id: { type: String, default: null },
+  request_id: { type: String, default: null }, // Dikirim sebagai header X-Request-Id
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: [WebhookAttemptSchema], default: [] },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+WebhookDeliverySchema.index({ created_at: -1 });
+WebhookDeliverySchema.index({ status: 1 });
+WebhookDeliverySchema.index({ log_id: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
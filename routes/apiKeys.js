@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { validateApiKeyRequest } = require('../middleware/validation');
+const { createApiKey, revokeApiKey, rotateApiKey } = require('../services/apiKeys');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const { recordAudit } = require('../services/audit');
+const logger = require('../utils/logger').child({ component: 'routes/apiKeys' });
+
+// Pengelolaan API key khusus admin
+router.use(verifyToken, requireAdmin);
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    created_at: apiKey.created_at.toISOString(),
+    last_used_at: apiKey.last_used_at ? apiKey.last_used_at.toISOString() : null,
+    expires_at: apiKey.expires_at ? apiKey.expires_at.toISOString() : null,
+    revoked_at: apiKey.revoked_at ? apiKey.revoked_at.toISOString() : null
+  };
+}
+
+// GET /api/api-keys
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.include_revoked === 'true' ? {} : { revoked_at: null };
+    const apiKeys = await ApiKey.find(filter).sort({ created_at: -1 });
+    res.json({ data: apiKeys.map(formatApiKey) });
+  } catch (error) {
+    logger.error('Error fetching API keys', { err: error });
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// POST /api/api-keys - Key asli hanya dikembalikan sekali di response ini
+router.post('/', validateApiKeyRequest, async (req, res) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+    
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes: scopes || ApiKey.SCOPES,
+      expires_at: expires_at ? new Date(expires_at) : null
+    });
+    
+    await recordAudit(req, {
+      action: 'api_key.create',
+      target: apiKey.id,
+      after: { name: apiKey.name, scopes: apiKey.scopes, expires_at: apiKey.expires_at }
+    });
+    
+    res.status(201).json({
+      message: 'API key created successfully. Store it now, it will not be shown again.',
+      api_key: key,
+      key: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error('Error creating API key', { err: error });
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// POST /api/api-keys/:id/revoke
+router.post('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    await recordAudit(req, { action: 'api_key.revoke', target: apiKey.id });
+    
+    res.json({
+      message: 'API key revoked successfully',
+      key: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', { err: error });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// POST /api/api-keys/:id/rotate - Cabut key lama dan buat key baru dengan scope yang sama
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const result = await rotateApiKey(req.params.id);
+    if (result.error_code === 'api_key_not_found') {
+      return res.status(404).json({ error: 'API key not found', code: result.error_code });
+    }
+    if (!result.success) {
+      return res.status(409).json({ error: 'Revoked or expired API keys cannot be rotated', code: result.error_code });
+    }
+    
+    await recordAudit(req, {
+      action: 'api_key.rotate',
+      target: result.previous.id,
+      details: `Replaced by ${result.apiKey.id}`
+    });
+    
+    res.json({
+      message: 'API key rotated successfully. Store it now, it will not be shown again.',
+      api_key: result.key,
+      key: formatApiKey(result.apiKey),
+      revoked_key_id: result.previous.id
+    });
+  } catch (error) {
+    logger.error('Error rotating API key', { err: error });
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+});
+
+module.exports = router;
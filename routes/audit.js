@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const AuditEvent = require('../models/AuditEvent');
+const { formatAuditEvent } = require('../services/audit');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const logger = require('../utils/logger').child({ component: 'routes/audit' });
+
+// Audit log berisi IP dan aktivitas semua user, khusus admin
+router.use(verifyToken, requireAdmin);
+
+// GET /api/audit
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 10, page = 1, action, actor_type, actor_id, target, success, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    let filter = {};
+    // action boleh berupa prefix, mis. 'whatsapp.' untuk semua aksi WhatsApp
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (actor_type) filter['actor.type'] = actor_type;
+    if (actor_id) filter['actor.id'] = actor_id;
+    if (target) filter.target = target;
+    if (success !== undefined) filter.success = success === 'true';
+    if (from || to) {
+      filter.created_at = {};
+      if (from) filter.created_at.$gte = new Date(from);
+      if (to) {
+        const toDate = new Date(to);
+        toDate.setDate(toDate.getDate() + 1);
+        filter.created_at.$lt = toDate;
+      }
+    }
+    
+    const events = await AuditEvent.find(filter)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await AuditEvent.countDocuments(filter);
+    
+    res.json({
+      data: events.map(formatAuditEvent),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_items: total,
+        per_page: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching audit events', { err: error });
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,78 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { verifyToken } = require('../middleware/autentikasi');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllRefreshTokens } = require('../services/authTokens');
+const { generateOtpCode, hashOtp, otpMatches } = require('../services/otp');
+const { recordAudit } = require('../services/audit');
+const { formatPhoneNumber, isValidPhoneNumber } = require('../utils/helpers');
+const { hit } = require('../middleware/rateLimit');
+const logger = require('../utils/logger').child({ component: 'routes/auth' });
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_CODE_TTL_MS = 10 * 60 * 1000;
+const RESET_MAX_ATTEMPTS = 5;
+// Batas permintaan kode reset per jam; tiap permintaan mengirim pesan WhatsApp
+const RESET_REQUESTS_PER_EMAIL_PER_HOUR = 3;
+const RESET_REQUESTS_PER_IP_PER_HOUR = 10;
+// Batas percobaan login per 15 menit, untuk menahan tebakan password
+const LOGIN_ATTEMPTS_PER_EMAIL = 10;
+const LOGIN_ATTEMPTS_PER_IP = 30;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+function formatUser(user) {
+  return {
+    id: user._id,
+    name: user.nama,    // Sesuaikan dengan NextAuth
+    email: user.email,
+    phone: user.phone,
+    role: user.role
+  };
+}
+
+function resetCodeKey(user) {
+  return `reset:${user._id}`;
+}
 
 // POST /auth/register
 router.post('/register', async (req, res) => {
   try {
-    const { nama, email, password } = req.body;
+    const { nama, email, password, phone } = req.body;
     
-    // Tambah validasi input
-    if (!nama || !email || !password) {
+    // Tambah validasi input; bukan string (mis. objek { $ne: null }) ditolak
+    if (typeof nama !== 'string' || typeof email !== 'string' || typeof password !== 'string'
+      || !nama || !email || !password) {
       return res.status(400).json({
         success: false,
         message: 'Nama, email, dan password harus diisi'
       });
     }
 
-    // Debug: cek data yang diterima
-    console.log('Data registrasi:', { nama, email, password });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password minimal ${MIN_PASSWORD_LENGTH} karakter`
+      });
+    }
+
+    if (phone && !isValidPhoneNumber(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format nomor telepon tidak valid'
+      });
+    }
+
+    // Akun pertama selalu boleh dibuat dan menjadi admin
+    const isFirstUser = (await User.countDocuments()) === 0;
+    const settings = await Settings.current();
+    if (!isFirstUser && !settings.allow_registration) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registrasi publik dinonaktifkan'
+      });
+    }
 
     // Cek user exists
     const existingUser = await User.findOne({ email });
@@ -32,7 +87,15 @@ router.post('/register', async (req, res) => {
     const user = await User.create({
       nama: nama,
       email: email,
-      password: password
+      password: password,
+      phone: phone ? formatPhoneNumber(phone) : null,
+      role: isFirstUser ? 'admin' : 'user'
+    });
+
+    await recordAudit(req, {
+      action: 'auth.register',
+      actor: { type: 'user', id: String(user._id), label: user.email },
+      details: `Registered with role ${user.role}`
     });
 
     res.status(201).json({
@@ -41,16 +104,16 @@ router.post('/register', async (req, res) => {
       data: {
         id: user._id,
         nama: user.nama,
-        email: user.email
+        email: user.email,
+        role: user.role
       }
     });
 
   } catch (error) {
-    console.error('Error detail:', error);
+    logger.error('Error registrasi', { err: error });
     res.status(500).json({
       success: false,
-      message: 'Gagal melakukan registrasi',
-      error: error.message
+      message: 'Gagal melakukan registrasi'
     });
   }
 });
@@ -59,61 +122,379 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email dan password harus diisi'
+      });
+    }
 
-    // Debug: cek data login yang diterima
-    console.log('Login attempt:', { email });
-
-    // Cari user berdasarkan email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ 
+    const exceeded = await hit('login-ip', req.ip, LOGIN_ATTEMPTS_PER_IP, LOGIN_WINDOW_MS)
+      || await hit('login-email', email.toLowerCase(), LOGIN_ATTEMPTS_PER_EMAIL, LOGIN_WINDOW_MS);
+    if (exceeded) {
+      res.set('Retry-After', String(exceeded.retry_after));
+      return res.status(429).json({
         success: false,
-        message: 'Email atau password salah'  // Ubah format error message
+        message: 'Terlalu banyak percobaan login, coba lagi nanti'
       });
     }
 
-    // Verifikasi password
-    const isValid = await user.checkPassword(password);
+    // Cari user berdasarkan email lalu verifikasi password
+    const user = await User.findOne({ email });
+    const isValid = user ? await user.checkPassword(password) : false;
     if (!isValid) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        success: false,
+        actor: { type: 'anonymous', id: user ? String(user._id) : null, label: email },
+        details: user ? 'Wrong password' : 'Unknown email'
+      });
       return res.status(401).json({ 
         success: false,
-        message: 'Email atau password salah'  // Ubah format error message
+        message: 'Email atau password salah'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id,
-        email: user.email,
-        role: user.role 
-      }, 
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await recordAudit(req, {
+      action: 'auth.login_success',
+      actor: { type: 'user', id: String(user._id), label: user.email }
+    });
+
+    const tokens = await issueTokens(user, req);
 
     // Response dengan format yang sesuai NextAuth
     res.json({
       success: true,
       message: 'Login berhasil',
       data: {
-        user: {
-          id: user._id,
-          name: user.nama,    // Sesuaikan dengan NextAuth
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: formatUser(user),
+        ...tokens
       }
     });
 
   } catch (error) {
-    console.error('Error login:', error);
+    logger.error('Error login', { err: error });
     res.status(500).json({ 
       success: false,
-      message: 'Gagal melakukan login'  // Ubah format error message
+      message: 'Gagal melakukan login'
+    });
+  }
+});
+
+// POST /auth/refresh - Tukar refresh token dengan pasangan token baru
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token harus diisi'
+      });
+    }
+
+    const result = await rotateRefreshToken(refresh_token, (userId) => User.findById(userId), req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token diperbarui',
+      data: {
+        user: formatUser(result.user),
+        ...result.tokens
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error refresh token', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal memperbarui token'
+    });
+  }
+});
+
+// POST /auth/logout - Cabut refresh token; all=true mencabut semua sesi (butuh access token)
+router.post('/logout', async (req, res, next) => {
+  if (req.body.all) return verifyToken(req, res, next);
+  next();
+}, async (req, res) => {
+  try {
+    const { refresh_token, all } = req.body;
+
+    if (all) {
+      await revokeAllRefreshTokens(req.user.userId);
+    } else if (refresh_token) {
+      await revokeRefreshToken(refresh_token);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token harus diisi'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      details: all ? 'All sessions' : null
+    });
+
+    res.json({
+      success: true,
+      message: 'Logout berhasil'
+    });
+
+  } catch (error) {
+    logger.error('Error logout', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal melakukan logout'
+    });
+  }
+});
+
+// GET /auth/me
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User tidak ditemukan'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        created_at: user.created_at
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error get profile', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengambil data user'
+    });
+  }
+});
+
+// POST /auth/change-password - Semua sesi lain dicabut, token baru dikembalikan
+router.post('/change-password', verifyToken, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password lama dan password baru harus diisi'
+      });
+    }
+
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password minimal ${MIN_PASSWORD_LENGTH} karakter`
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !(await user.checkPassword(current_password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password lama salah'
+      });
+    }
+
+    user.password = new_password;
+    user.password_changed_at = new Date();
+    user.updated_at = new Date();
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    await recordAudit(req, { action: 'auth.password_change' });
+
+    res.json({
+      success: true,
+      message: 'Password berhasil diubah',
+      data: await issueTokens(user, req)
+    });
+
+  } catch (error) {
+    logger.error('Error change password', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mengubah password'
+    });
+  }
+});
+
+// POST /auth/forgot-password - Kirim kode reset ke nomor WhatsApp user
+router.post('/forgot-password', async (req, res) => {
+  // Response selalu sama supaya tidak bisa dipakai mengecek email terdaftar
+  const genericResponse = {
+    success: true,
+    message: 'Jika email terdaftar dan memiliki nomor WhatsApp, kode reset telah dikirim'
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email harus diisi'
+      });
+    }
+
+    // Dibatasi untuk email terdaftar maupun tidak, supaya respons tetap seragam
+    const exceeded = await hit('reset-ip', req.ip, RESET_REQUESTS_PER_IP_PER_HOUR, HOUR)
+      || await hit('reset-email', email.toLowerCase(), RESET_REQUESTS_PER_EMAIL_PER_HOUR, HOUR);
+    if (exceeded) {
+      res.set('Retry-After', String(exceeded.retry_after));
+      return res.status(429).json({
+        success: false,
+        message: 'Terlalu banyak permintaan reset password, coba lagi nanti'
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || !user.phone) {
+      return res.json(genericResponse);
+    }
+
+    const settings = await Settings.current();
+    const code = generateOtpCode(settings.otp_length, '0123456789');
+    // Selama kode sebelumnya belum kedaluwarsa, masa berlaku dan jatah percobaan
+    // tidak diulang; meminta kode baru tidak memberi kesempatan menebak tambahan
+    const hasActiveCode = user.reset_code_hash && user.reset_expires_at > new Date();
+    user.reset_code_hash = hashOtp(resetCodeKey(user), code);
+    if (!hasActiveCode) {
+      user.reset_expires_at = new Date(Date.now() + RESET_CODE_TTL_MS);
+      user.reset_attempts = 0;
+    }
+    await user.save();
+
+    // Dikirim langsung (tanpa antrian) supaya kode tidak tercatat di log pesan client
+    const { sendMessage } = require('../services/whatsapp');
+    const expiresInMinutes = Math.ceil((user.reset_expires_at.getTime() - Date.now()) / 60000);
+    const result = await sendMessage(
+      user.phone,
+      `Kode reset password Anda adalah ${code}. Berlaku selama ${expiresInMinutes} menit. Abaikan pesan ini jika Anda tidak memintanya.`
+    );
+    if (!result.success) {
+      logger.error('Error sending reset code', { error: result.error });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.password_reset_request',
+      actor: { type: 'user', id: String(user._id), label: user.email },
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('Error forgot password', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal memproses permintaan reset password'
+    });
+  }
+});
+
+// POST /auth/reset-password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { email, code, new_password } = req.body;
+
+    if (typeof email !== 'string' || typeof code !== 'string' || typeof new_password !== 'string'
+      || !email || !code || !new_password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, kode, dan password baru harus diisi'
+      });
+    }
+
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password minimal ${MIN_PASSWORD_LENGTH} karakter`
+      });
+    }
+
+    const user = await User.findOne({ email });
+    const invalid = {
+      success: false,
+      message: 'Kode reset tidak valid atau sudah kedaluwarsa'
+    };
+    if (!user || !user.reset_code_hash || user.reset_expires_at < new Date()) {
+      return res.status(400).json(invalid);
+    }
+
+    // Naikkan counter secara atomik supaya tebakan paralel tidak bisa melewati batas
+    const claimed = await User.findOneAndUpdate(
+      { _id: user._id, reset_code_hash: user.reset_code_hash, reset_attempts: { $lt: RESET_MAX_ATTEMPTS } },
+      { $inc: { reset_attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Terlalu banyak percobaan, minta kode reset baru'
+      });
+    }
+
+    if (!otpMatches(resetCodeKey(user), code, claimed.reset_code_hash)) {
+      await recordAudit(req, {
+        action: 'auth.password_reset',
+        actor: { type: 'user', id: String(user._id), label: user.email },
+        success: false,
+        details: 'Invalid reset code'
+      });
+      return res.status(400).json(invalid);
+    }
+
+    // Kode hanya bisa dipakai sekali walaupun dua request benar datang bersamaan
+    const used = await User.findOneAndUpdate(
+      { _id: user._id, reset_code_hash: claimed.reset_code_hash },
+      { $set: { reset_code_hash: null, reset_expires_at: null, reset_attempts: 0 } }
+    );
+    if (!used) {
+      return res.status(400).json(invalid);
+    }
+
+    user.password = new_password;
+    user.password_changed_at = new Date();
+    user.reset_code_hash = null;
+    user.reset_expires_at = null;
+    user.reset_attempts = 0;
+    user.updated_at = new Date();
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: { type: 'user', id: String(user._id), label: user.email }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password berhasil direset, silakan login kembali'
+    });
+
+  } catch (error) {
+    logger.error('Error reset password', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Gagal mereset password'
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
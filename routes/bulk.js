@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const Batch = require('../models/Batch');
+const Log = require('../models/Log');
+const { requireApiKey } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { bulkRateLimit } = require('../middleware/rateLimit');
+const { validateBulkRequest } = require('../middleware/validation');
+const { DEFAULT_SESSION } = require('../services/whatsapp');
+const { parseRecipientsCsv, createBatch, getBatchProgress, cancelBatch, formatBatch } = require('../services/bulk');
+const logger = require('../utils/logger').child({ component: 'routes/bulk' });
+
+const BULK_ERRORS = {
+  too_many_recipients: { status: 413, message: 'Too many recipients' },
+  invalid_recipients: { status: 400, message: 'Some recipients are invalid' }
+};
+
+// CSV bisa diunggah langsung sebagai body text/csv
+const csvBody = express.text({ type: 'text/csv', limit: '2mb' });
+
+// CSV diubah menjadi recipients sebelum rate limit, yang menghitung jumlah penerima
+function parseCsvRecipients(req, res, next) {
+  if (req.body.csv === undefined) return next();
+
+  const parsed = parseRecipientsCsv(req.body.csv);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error, code: 'invalid_csv' });
+  }
+  if (parsed.recipients.length === 0) {
+    return res.status(400).json({ error: 'CSV has no recipients', code: 'invalid_csv' });
+  }
+  const { csv, ...body } = req.body;
+  req.body = { ...body, recipients: parsed.recipients };
+  next();
+}
+
+// POST /api/send-bulk - Kirim pesan ke banyak penerima sekaligus
+router.post('/send-bulk', csvBody, validateBulkRequest, requireApiKey('send'), idempotency, parseCsvRecipients, bulkRateLimit, async (req, res) => {
+  try {
+    const { recipients, message, template, variables, language, session = DEFAULT_SESSION, name } = req.body;
+    
+    const result = await createBatch(
+      { recipients, message, template, variables, language, session, name, requestId: req.id },
+      req.apiKey
+    );
+    if (!result.success) {
+      const failure = BULK_ERRORS[result.error_code];
+      return res.status(failure.status).json({
+        error: result.max ? `${failure.message} (max ${result.max})` : failure.message,
+        code: result.error_code,
+        errors: result.errors
+      });
+    }
+    
+    res.status(202).json({
+      ...formatBatch(result.batch),
+      message: 'Batch queued for delivery'
+    });
+  } catch (error) {
+    logger.error('Error in send-bulk', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/batches/:id - Progres batch dan hasil per penerima
+router.get('/batches/:id', requireApiKey('read-logs'), async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ id: req.params.id });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    
+    const progress = await getBatchProgress(batch);
+    const filter = { batch_id: batch.id };
+    if (req.query.status) filter.status = req.query.status;
+    const logs = await Log.find(filter).sort({ created_at: 1 });
+    
+    res.json({
+      ...formatBatch(batch),
+      progress,
+      recipients: logs.map(log => ({
+        id: log.id,
+        phone: log.phone,
+        status: log.status,
+        attempts: log.attempts,
+        error_message: log.error_message,
+        sent_at: log.sent_at ? log.sent_at.toISOString() : null,
+        delivered_at: log.delivered_at ? log.delivered_at.toISOString() : null,
+        read_at: log.read_at ? log.read_at.toISOString() : null
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching batch', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/batches/:id/cancel - Batalkan penerima yang belum dikirim
+router.post('/batches/:id/cancel', requireApiKey('send'), async (req, res) => {
+  try {
+    const result = await cancelBatch(req.params.id);
+    if (!result.success) {
+      return result.error_code === 'batch_not_found'
+        ? res.status(404).json({ error: 'Batch not found' })
+        : res.status(409).json({ error: 'Batch is no longer running', code: result.error_code });
+    }
+    
+    res.json({
+      ...formatBatch(result.batch),
+      progress: await getBatchProgress(result.batch),
+      cancelled: result.cancelled,
+      message: 'Batch cancelled'
+    });
+  } catch (error) {
+    logger.error('Error cancelling batch', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
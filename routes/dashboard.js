@@ -1,9 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Log = require('../models/Log');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const InboundMessage = require('../models/InboundMessage');
+const Settings = require('../models/Settings');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const { recordAudit } = require('../services/audit');
+const { formatInboundMessage } = require('../services/inbound');
+const { INTERVAL_MS, isRangeTooLarge, getAnalytics } = require('../services/analytics');
+const { FORMATS, parseColumns, streamLogs } = require('../services/logExport');
+const { DEFAULT_TIMEZONE, isValidTimeZone, parseDateTimeInZone, startOfDayInZone } = require('../utils/time');
+const { maskPhoneNumber } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'routes/dashboard' });
+
+// Nomor tujuan disamarkan untuk non-admin jika settings mask_phone_for_non_admin aktif
+async function shouldMaskPhones(req) {
+  if (req.user.role === 'admin') return false;
+  return (await Settings.current()).mask_phone_for_non_admin;
+}
 
 // GET /api/status - Status lengkap dengan informasi tambahan
-router.get('/status', (req, res) => {
+router.get('/status', verifyToken, (req, res) => {
   const { getStatus } = require('../services/whatsapp');
   const status = getStatus();
   
@@ -11,18 +28,25 @@ router.get('/status', (req, res) => {
     whatsapp_connected: status.whatsapp_connected,
     phone_number: status.phone_number,
     qr_available: status.qr_available,
-    qrcode: status.qrcode,
+    qrcode: req.user.role === 'admin' ? status.qrcode : null, // QR bisa dipakai menautkan nomor
     reconnect_attempts: status.reconnect_attempts,
     max_attempts: status.max_attempts
   });
 });
 
 // POST /api/whatsapp/disconnect - Memutus koneksi dan hapus sesi
-router.post('/whatsapp/disconnect', async (req, res) => {
+router.post('/whatsapp/disconnect', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { disconnect } = require('../services/whatsapp');
     const result = await disconnect();
     
+    await recordAudit(req, {
+      action: 'whatsapp.disconnect',
+      target: 'default',
+      success: result.success,
+      details: result.success ? 'Manual disconnect' : result.error
+    });
+    
     if (result.success) {
       res.json({
         success: true,
@@ -35,7 +59,7 @@ router.post('/whatsapp/disconnect', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error disconnecting WhatsApp:', error.message);
+    logger.error('Error disconnecting WhatsApp', { err: error });
     res.status(500).json({ 
       success: false,
       error: 'Failed to disconnect WhatsApp' 
@@ -44,11 +68,18 @@ router.post('/whatsapp/disconnect', async (req, res) => {
 });
 
 // POST /api/whatsapp/refresh-qr - Generate QR code baru
-router.post('/whatsapp/refresh-qr', async (req, res) => {
+router.post('/whatsapp/refresh-qr', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { refreshQR } = require('../services/whatsapp');
     const result = await refreshQR();
     
+    await recordAudit(req, {
+      action: 'whatsapp.refresh_qr',
+      target: 'default',
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+    
     if (result.success) {
       res.json({
         success: true,
@@ -61,7 +92,7 @@ router.post('/whatsapp/refresh-qr', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error refreshing QR:', error.message);
+    logger.error('Error refreshing QR', { err: error });
     res.status(500).json({ 
       success: false,
       error: 'Failed to refresh QR code' 
@@ -70,11 +101,18 @@ router.post('/whatsapp/refresh-qr', async (req, res) => {
 });
 
 // POST /api/whatsapp/force-reconnect - Force reconnect dengan clear session
-router.post('/whatsapp/force-reconnect', async (req, res) => {
+router.post('/whatsapp/force-reconnect', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { forceReconnect } = require('../services/whatsapp');
     const result = await forceReconnect();
     
+    await recordAudit(req, {
+      action: 'whatsapp.force_reconnect',
+      target: 'default',
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+    
     if (result.success) {
       res.json({
         success: true,
@@ -87,7 +125,7 @@ router.post('/whatsapp/force-reconnect', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error force reconnecting WhatsApp:', error.message);
+    logger.error('Error force reconnecting WhatsApp', { err: error });
     res.status(500).json({ 
       success: false,
       error: 'Failed to force reconnect WhatsApp' 
@@ -95,18 +133,20 @@ router.post('/whatsapp/force-reconnect', async (req, res) => {
   }
 });
 
-// GET /api/statistik
-router.get('/statistik', async (req, res) => {
+// GET /api/statistik - Hitungan hari ini; ?timezone= menentukan batas hari
+router.get('/statistik', verifyToken, async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
     
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const today = startOfDayInZone(new Date(), timezone);
+    const tomorrow = startOfDayInZone(new Date(), timezone, 1);
     
     const sentToday = await Log.countDocuments({
       created_at: { $gte: today, $lt: tomorrow },
-      status: 'success'
+      status: { $in: Log.SENT_STATUSES }
     });
     
     const failedToday = await Log.countDocuments({
@@ -124,29 +164,114 @@ router.get('/statistik', async (req, res) => {
       success_rate: successRate
     });
   } catch (error) {
-    console.error('Error fetching statistics:', error.message);
+    logger.error('Error fetching statistics', { err: error });
     res.status(500).json({ error: 'Failed to fetch statistics' });
   }
 });
 
+// GET /api/analytics - Time series dan breakdown untuk grafik dashboard
+router.get('/analytics', verifyToken, async (req, res) => {
+  try {
+    const { from, to, session, api_key_id, interval = 'day' } = req.query;
+    const timezone = req.query.timezone || DEFAULT_TIMEZONE;
+    
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    if (!INTERVAL_MS[interval]) {
+      return res.status(400).json({ error: `Interval must be one of: ${Object.keys(INTERVAL_MS).join(', ')}` });
+    }
+    
+    // Default 7 hari terakhir; 'to' berupa tanggal saja mencakup seluruh hari itu
+    const fromDate = from ? parseDateTimeInZone(from, timezone) : startOfDayInZone(new Date(), timezone, -6);
+    let toDate = to ? parseDateTimeInZone(to, timezone) : new Date();
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to) && toDate) {
+      toDate = startOfDayInZone(toDate, timezone, 1);
+    }
+    
+    if (!fromDate || !toDate) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+    }
+    if (fromDate >= toDate) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if (isRangeTooLarge(fromDate, toDate, interval)) {
+      return res.status(400).json({ error: 'Date range has too many buckets for this interval; use a larger interval' });
+    }
+    
+    res.json(await getAnalytics({ from: fromDate, to: toDate, timezone, interval, session, api_key_id }));
+  } catch (error) {
+    logger.error('Error fetching analytics', { err: error });
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+// Filter status/phone/from/to yang sama untuk /logs dan /logs/export
+function buildLogFilter({ status, phone, from, to, request_id }) {
+  let filter = {};
+  // 'success' mencakup sent/delivered/read supaya filter lama tetap berlaku
+  if (status) filter.status = status === 'success' ? { $in: Log.SENT_STATUSES } : status;
+  if (phone) filter.phone = { $regex: phone, $options: 'i' };
+  if (typeof request_id === 'string' && request_id) filter.request_id = request_id;
+  if (from || to) {
+    filter.created_at = {};
+    if (from) filter.created_at.$gte = new Date(from);
+    if (to) {
+      const toDate = new Date(to);
+      toDate.setDate(toDate.getDate() + 1);
+      filter.created_at.$lt = toDate;
+    }
+  }
+  return filter;
+}
+
+// GET /api/logs/export?format=csv|ndjson - Ekspor semua log yang cocok dengan filter
+router.get('/logs/export', verifyToken, async (req, res) => {
+  try {
+    const { format = 'csv', mask_phone } = req.query;
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    
+    const { columns, error } = parseColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const filter = buildLogFilter(req.query);
+    const maskPhone = mask_phone === 'true' || mask_phone === '1' || await shouldMaskPhones(req);
+    
+    await recordAudit(req, {
+      action: 'logs.export',
+      details: `Format ${format}, columns: ${columns.join(',')}${maskPhone ? ', phones masked' : ''}`
+    });
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="logs-${timestamp}.${FORMATS[format].extension}"`,
+      'Cache-Control': 'no-store'
+    });
+    
+    await streamLogs(res, filter, { format, columns, maskPhone });
+  } catch (error) {
+    logger.error('Error exporting logs', { err: error });
+    // Setelah streaming dimulai status code tidak bisa diubah lagi
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export logs' });
+    }
+  }
+});
+
 // GET /api/logs
-router.get('/logs', async (req, res) => {
+router.get('/logs', verifyToken, async (req, res) => {
   try {
-    const { limit = 10, page = 1, status, phone, from, to } = req.query;
+    const { limit = 10, page = 1 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    let filter = {};
-    if (status) filter.status = status;
-    if (phone) filter.phone = { $regex: phone, $options: 'i' };
-    if (from || to) {
-      filter.created_at = {};
-      if (from) filter.created_at.$gte = new Date(from);
-      if (to) {
-        const toDate = new Date(to);
-        toDate.setDate(toDate.getDate() + 1);
-        filter.created_at.$lt = toDate;
-      }
-    }
+    const filter = buildLogFilter(req.query);
     
     const logs = await Log.find(filter)
       .sort({ created_at: -1 })
@@ -154,13 +279,24 @@ router.get('/logs', async (req, res) => {
       .skip(skip);
     
     const total = await Log.countDocuments(filter);
+    const maskPhone = await shouldMaskPhones(req);
     
     const formattedLogs = logs.map(log => ({
       id: log.id,
-      phone: log.phone,
+      phone: maskPhone ? maskPhoneNumber(log.phone) : log.phone,
+      country: log.country,
       message: log.message,
+      message_type: log.message_type,
+      media: log.media && log.media.mime_type ? log.media : null,
       status: log.status,
       error_message: log.error_message,
+      session: log.session_id,
+      api_key_id: log.api_key_id,
+      request_id: log.request_id,
+      attempts: log.attempts,
+      sent_at: log.sent_at ? log.sent_at.toISOString() : null,
+      delivered_at: log.delivered_at ? log.delivered_at.toISOString() : null,
+      read_at: log.read_at ? log.read_at.toISOString() : null,
       time: log.created_at.toISOString()
     }));
     
@@ -174,13 +310,13 @@ router.get('/logs', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching logs:', error.message);
+    logger.error('Error fetching logs', { err: error });
     res.status(500).json({ error: 'Failed to fetch logs' });
   }
 });
 
 // DELETE /api/logs - Menghapus logs (opsional, untuk maintenance)
-router.delete('/logs', async (req, res) => {
+router.delete('/logs', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { older_than_days } = req.query;
     
@@ -193,13 +329,18 @@ router.delete('/logs', async (req, res) => {
     
     const result = await Log.deleteMany(filter);
     
+    await recordAudit(req, {
+      action: 'logs.delete',
+      details: `Deleted ${result.deletedCount} log entries` + (older_than_days ? ` older than ${older_than_days} days` : '')
+    });
+    
     res.json({
       success: true,
       message: `Deleted ${result.deletedCount} log entries`,
       deleted_count: result.deletedCount
     });
   } catch (error) {
-    console.error('Error deleting logs:', error.message);
+    logger.error('Error deleting logs', { err: error });
     res.status(500).json({ 
       success: false,
       error: 'Failed to delete logs' 
@@ -207,4 +348,159 @@ router.delete('/logs', async (req, res) => {
   }
 });
 
+// GET /api/inbound-messages - Pesan masuk dari pengguna (balasan OTP dsb.)
+router.get('/inbound-messages', verifyToken, async (req, res) => {
+  try {
+    const { limit = 10, page = 1, phone, session, log_id, message_type, search, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    let filter = {};
+    if (phone) filter.phone = { $regex: phone, $options: 'i' };
+    if (session) filter.session_id = session;
+    if (log_id) filter.log_id = log_id;
+    if (message_type) filter.message_type = message_type;
+    if (search) filter.text = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (from || to) {
+      filter.received_at = {};
+      if (from) filter.received_at.$gte = new Date(from);
+      if (to) {
+        const toDate = new Date(to);
+        toDate.setDate(toDate.getDate() + 1);
+        filter.received_at.$lt = toDate;
+      }
+    }
+    
+    const messages = await InboundMessage.find(filter)
+      .sort({ received_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await InboundMessage.countDocuments(filter);
+    const maskPhone = await shouldMaskPhones(req);
+    
+    res.json({
+      data: messages.map((message) => {
+        const formatted = formatInboundMessage(message);
+        return maskPhone ? { ...formatted, phone: maskPhoneNumber(formatted.phone) } : formatted;
+      }),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_items: total,
+        per_page: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching inbound messages', { err: error });
+    res.status(500).json({ error: 'Failed to fetch inbound messages' });
+  }
+});
+
+// GET /api/webhook-deliveries - Riwayat pengiriman webhook
+router.get('/webhook-deliveries', verifyToken, async (req, res) => {
+  try {
+    const { limit = 10, page = 1, status, event, log_id } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    let filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (log_id) filter.log_id = log_id;
+    
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ created_at: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await WebhookDelivery.countDocuments(filter);
+    
+    res.json({
+      data: deliveries.map(formatDelivery),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_items: total,
+        per_page: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { err: error });
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// GET /api/webhook-deliveries/:id - Detail satu delivery termasuk payload
+router.get('/webhook-deliveries/:id', verifyToken, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ id: req.params.id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    
+    res.json({
+      ...formatDelivery(delivery),
+      payload: delivery.payload && delivery.payload.phone && await shouldMaskPhones(req)
+        ? { ...delivery.payload, phone: maskPhoneNumber(delivery.payload.phone) }
+        : delivery.payload
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { err: error });
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+// POST /api/webhook-deliveries/:id/redeliver - Kirim ulang delivery yang gagal
+router.post('/webhook-deliveries/:id/redeliver', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { redeliverWebhook } = require('../services/webhook');
+    const result = await redeliverWebhook(req.params.id);
+    
+    await recordAudit(req, {
+      action: 'webhook.redeliver',
+      target: req.params.id,
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: 'Webhook redelivery started',
+        id: result.delivery.id
+      });
+    } else {
+      res.status(result.error === 'Webhook delivery not found' ? 404 : 400).json({ 
+        success: false,
+        error: result.error 
+      });
+    }
+  } catch (error) {
+    logger.error('Error redelivering webhook', { err: error });
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to redeliver webhook' 
+    });
+  }
+});
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    url: delivery.url,
+    log_id: delivery.log_id,
+    request_id: delivery.request_id,
+    status: delivery.status,
+    attempts: delivery.attempts.map(attempt => ({
+      attempt: attempt.attempt,
+      status_code: attempt.status_code,
+      latency_ms: attempt.latency_ms,
+      response_snippet: attempt.response_snippet,
+      error: attempt.error,
+      time: attempt.attempted_at.toISOString()
+    })),
+    time: delivery.created_at.toISOString()
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const Log = require('../models/Log');
+const { requireApiKey } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { sendRateLimit } = require('../middleware/rateLimit');
+const { validateSendMessageRequest } = require('../middleware/validation');
+const { DEFAULT_SESSION } = require('../services/whatsapp');
+const { enqueueMessage } = require('../services/queue');
+const { MEDIA_MAX_BYTES, MEDIA_TYPES, resolveMedia, describeMessage } = require('../services/media');
+const { generateId, normalizePhoneNumber } = require('../utils/helpers');
+const { DEFAULT_TIMEZONE, parseDateTimeInZone } = require('../utils/time');
+const logger = require('../utils/logger').child({ component: 'routes/messages' });
+
+const MEDIA_ERRORS = {
+  invalid_media: 400,
+  media_unreachable: 400,
+  media_url_not_allowed: 400,
+  media_too_large: 413,
+  unsupported_media_type: 415
+};
+
+// File disimpan di memori lalu ke job antrian; ukurannya dibatasi MEDIA_MAX_MB
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1 }
+});
+
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ 
+        error: `Media exceeds the ${Math.round(MEDIA_MAX_BYTES / 1024 / 1024)} MB limit`,
+        code: 'media_too_large'
+      });
+    }
+    res.status(400).json({ error: error.message, code: 'invalid_upload' });
+  });
+}
+
+// POST /api/send-message - Kirim teks, gambar, dokumen, audio atau lokasi
+router.post('/send-message', uploadFile, validateSendMessageRequest, requireApiKey('send'), idempotency, sendRateLimit, async (req, res) => {
+  try {
+    const { phone, session = DEFAULT_SESSION, type = 'text', text, caption, location, send_at, timezone, on_missed } = req.body;
+    const { phone: formattedPhone, country } = normalizePhoneNumber(phone);
+    const sendAt = send_at ? parseDateTimeInZone(send_at, timezone || DEFAULT_TIMEZONE) : null;
+    
+    const content = { type };
+    let mediaData = null;
+    if (type === 'text') {
+      content.text = text;
+    } else if (type === 'location') {
+      content.location = {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        name: location.name || null,
+        address: location.address || null
+      };
+    } else {
+      const resolved = await resolveMedia(type, { ...req.body, file: req.file });
+      if (!resolved.success) {
+        return res.status(MEDIA_ERRORS[resolved.error_code]).json({
+          error: resolved.error,
+          code: resolved.error_code
+        });
+      }
+      content.caption = caption || null;
+      content.media = resolved.media;
+      mediaData = resolved.data;
+    }
+    
+    const log = new Log({
+      id: generateId(),
+      phone: formattedPhone,
+      country,
+      message: describeMessage(content),
+      message_type: type,
+      media: content.media || undefined,
+      status: sendAt ? 'scheduled' : 'pending',
+      session_id: session,
+      api_key_id: req.apiKey.id,
+      request_id: req.id,
+      scheduled_at: sendAt,
+      timezone: sendAt ? (timezone || DEFAULT_TIMEZONE) : null
+    });
+    await log.save();
+    
+    // Teks biasa tetap lewat jalur lama; media dan lokasi dibawa sebagai content di job
+    await enqueueMessage(log, type === 'text' ? text : log.message, {
+      ...(type === 'text' ? {} : { content, mediaData }),
+      ...(sendAt ? { sendAt, onMissed: on_missed } : {})
+    });
+    
+    res.status(202).json({
+      id: log.id,
+      status: log.status,
+      session: session,
+      type,
+      media: MEDIA_TYPES.includes(type) ? {
+        mime_type: log.media.mime_type,
+        file_name: log.media.file_name,
+        size: log.media.size
+      } : null,
+      message: sendAt ? 'Message scheduled for delivery' : 'Message queued for delivery',
+      send_at: sendAt ? sendAt.toISOString() : null
+    });
+  } catch (error) {
+    logger.error('Error in send-message', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { register } = require('../services/metrics');
+const logger = require('../utils/logger').child({ component: 'routes/metrics' });
+
+/**
+ * Endpoint scrape dilindungi token tersendiri (METRICS_TOKEN) supaya Prometheus
+ * tidak perlu API key atau login dashboard. Tanpa token, endpoint dimatikan.
+ */
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Metrics endpoint is not configured', code: 'metrics_disabled' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const actualHash = crypto.createHash('sha256').update(scheme === 'Bearer' && token ? token : '').digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  if (!crypto.timingSafeEqual(actualHash, expectedHash)) {
+    return res.status(401).json({ error: 'Invalid metrics token', code: 'invalid_metrics_token' });
+  }
+  next();
+}
+
+// GET /metrics - Format teks Prometheus
+router.get('/', requireMetricsToken, async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    logger.error('Metrics error', { err: error });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { requireApiKey } = require('../middleware/auth');
+const { lookupRateLimit } = require('../middleware/rateLimit');
+const { validateCheckNumbersRequest } = require('../middleware/validation');
+const { DEFAULT_SESSION } = require('../services/whatsapp');
+const { checkNumbers } = require('../services/numberCheck');
+const { formatPhoneNumber } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'routes/numbers' });
+
+async function respondWithCheck(res, phones, session) {
+  const result = await checkNumbers(phones.map(formatPhoneNumber), { session });
+  if (!result.success) {
+    res.status(503).json({ error: result.error, code: 'whatsapp_unavailable' });
+    return null;
+  }
+  return result.results;
+}
+
+// GET /api/check-number?phone=... - Apakah nomor terdaftar di WhatsApp
+router.get('/check-number', validateCheckNumbersRequest, requireApiKey('send'), lookupRateLimit, async (req, res) => {
+  try {
+    const results = await respondWithCheck(res, [req.query.phone], req.query.session || DEFAULT_SESSION);
+    if (results) res.json(results[0]);
+  } catch (error) {
+    logger.error('Error in check-number', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/check-numbers - Cek banyak nomor sekaligus
+router.post('/check-numbers', validateCheckNumbersRequest, requireApiKey('send'), lookupRateLimit, async (req, res) => {
+  try {
+    const results = await respondWithCheck(res, req.body.phones, req.body.session || DEFAULT_SESSION);
+    if (results) res.json({ data: results });
+  } catch (error) {
+    logger.error('Error in check-numbers', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,60 +2,196 @@ const express = require('express');
 const router = express.Router();
 const Log = require('../models/Log');
 const Settings = require('../models/Settings');
-const { validateApiKey } = require('../middleware/auth');
-const { validateOtpRequest } = require('../middleware/validation');
-const { sendMessage } = require('../services/whatsapp');
-const { sendWebhook } = require('../services/webhook');
-const { generateId, formatPhoneNumber } = require('../utils/helpers');
+const { requireApiKey } = require('../middleware/auth');
+const { sendRateLimit } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
+const { validateOtpRequest, validateVerifyOtpRequest } = require('../middleware/validation');
+const { DEFAULT_SESSION } = require('../services/whatsapp');
+const { enqueueMessage } = require('../services/queue');
+const { resolveTemplateMessage } = require('../services/template');
+const { checkNumbers } = require('../services/numberCheck');
+const { DEFAULT_OTP_MESSAGE, generateOtpCode, hashOtp, renderOtpMessage, maskOtp, verifyOtp } = require('../services/otp');
+const { generateId, formatPhoneNumber, normalizePhoneNumber } = require('../utils/helpers');
+const { DEFAULT_TIMEZONE, parseDateTimeInZone } = require('../utils/time');
+const logger = require('../utils/logger').child({ component: 'routes/otp' });
+
+const TEMPLATE_ERRORS = {
+  template_not_found: { status: 404, message: 'Template not found' },
+  template_empty: { status: 422, message: 'Template has no language variants' },
+  missing_variables: { status: 400, message: 'Missing template variables' }
+};
+
+const VERIFY_ERRORS = {
+  otp_not_found: { status: 404, message: 'OTP not found' },
+  otp_already_used: { status: 400, message: 'OTP has already been used' },
+  otp_expired: { status: 400, message: 'OTP has expired' },
+  otp_invalid: { status: 400, message: 'Invalid OTP code' },
+  otp_max_attempts: { status: 429, message: 'Maximum verification attempts exceeded' }
+};
 
 // POST /api/send-otp
-router.post('/send-otp', validateOtpRequest, validateApiKey, async (req, res) => {
+router.post('/send-otp', validateOtpRequest, requireApiKey('send'), idempotency, sendRateLimit, async (req, res) => {
   try {
-    const { phone, message } = req.body;
-    const formattedPhone = formatPhoneNumber(phone);
+    const { phone, session = DEFAULT_SESSION, template, variables = {}, language, send_at, timezone, on_missed, check_number } = req.body;
+    let { message } = req.body;
+    // Sudah divalidasi validateOtpRequest
+    const { phone: formattedPhone, country } = normalizePhoneNumber(phone);
     const logId = generateId();
+    const settings = await Settings.current();
+    // send_at tanpa offset dibaca sebagai jam dinding di timezone
+    const sendAt = send_at ? parseDateTimeInZone(send_at, timezone || DEFAULT_TIMEZONE) : null;
+    
+    // Pre-check opsional supaya client bisa langsung beralih ke SMS. Jika sesi
+    // belum terhubung, pengecekan dilewati dan pesan tetap diantrikan.
+    if (check_number) {
+      const check = await checkNumbers([formattedPhone], { session });
+      if (check.success && !check.results[0].exists) {
+        return res.status(422).json({
+          error: 'Phone number is not registered on WhatsApp',
+          code: 'not_on_whatsapp',
+          phone: formattedPhone
+        });
+      }
+    }
+    
+    // Template menggantikan message; {{code}} dan {{expires_in}} diisi di bawah
+    let templateLanguage = null;
+    if (template) {
+      const resolved = await resolveTemplateMessage(template, variables, language);
+      if (!resolved.success) {
+        const failure = TEMPLATE_ERRORS[resolved.error_code];
+        return res.status(failure.status).json({
+          error: resolved.missing ? `${failure.message}: ${resolved.missing.join(', ')}` : failure.message,
+          code: resolved.error_code,
+          missing: resolved.missing
+        });
+      }
+      message = resolved.message;
+      templateLanguage = resolved.language;
+    }
+    
+    // Tanpa message, atau message dengan placeholder {{code}}, kode OTP dibuat oleh gateway.
+    // Message tanpa {{code}} tetap dikirim apa adanya seperti sebelumnya.
+    const generateCode = !message || /\{\{\s*code\s*\}\}/.test(message);
+    let text = message;
+    let otpFields = {};
+    let storedMessage = message;
+    
+    if (generateCode) {
+      otpFields = {
+        // Masa berlaku OTP terjadwal dihitung dari waktu kirim
+        otp_expires_at: new Date((sendAt ? sendAt.getTime() : Date.now()) + settings.otp_ttl_seconds * 1000),
+        otp_max_attempts: settings.otp_max_attempts
+      };
+      if (sendAt) {
+        // Kode OTP terjadwal baru dibuat saat job dikirim, jadi antrian hanya menyimpan template
+        text = message || DEFAULT_OTP_MESSAGE;
+        storedMessage = renderOtpMessage(message, '*'.repeat(settings.otp_length), settings.otp_ttl_seconds);
+      } else {
+        const code = generateOtpCode(settings.otp_length, settings.otp_alphabet);
+        text = renderOtpMessage(message, code, settings.otp_ttl_seconds);
+        storedMessage = maskOtp(text, code);
+        otpFields.otp_hash = hashOtp(logId, code);
+      }
+    }
     
     // Create log entry
     const log = new Log({
       id: logId,
       phone: formattedPhone,
-      message: message,
-      status: 'pending'
+      country,
+      message: storedMessage,
+      status: sendAt ? 'scheduled' : 'pending',
+      session_id: session,
+      api_key_id: req.apiKey.id,
+      request_id: req.id,
+      template: template ? template.toLowerCase() : null,
+      language: templateLanguage,
+      scheduled_at: sendAt,
+      timezone: sendAt ? (timezone || DEFAULT_TIMEZONE) : null,
+      ...otpFields
     });
     await log.save();
     
-    // Send WhatsApp message
-    const result = await sendMessage(formattedPhone, message);
+    // Masukkan ke antrian; worker mengirim saat WhatsApp terhubung (dan send_at tercapai)
+    await enqueueMessage(log, text, sendAt ? { sendAt, onMissed: on_missed, otp: generateCode } : {});
     
-    // Update log status
-    log.status = result.success ? 'success' : 'failed';
-    log.error_message = result.success ? null : result.error;
-    log.updated_at = new Date();
-    await log.save();
+    res.status(202).json({
+      id: logId,
+      status: log.status,
+      session: session,
+      message: sendAt ? 'OTP scheduled for delivery' : 'OTP queued for delivery',
+      send_at: sendAt ? sendAt.toISOString() : null,
+      expires_at: log.otp_expires_at ? log.otp_expires_at.toISOString() : null
+    });
+    
+  } catch (error) {
+    logger.error('Error in send-otp', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/verify-otp
+router.post('/verify-otp', validateVerifyOtpRequest, requireApiKey('verify'), async (req, res) => {
+  try {
+    const { id, phone, code } = req.body;
+    
+    const result = await verifyOtp({
+      id,
+      phone: phone ? formatPhoneNumber(phone) : undefined,
+      code: String(code)
+    });
     
-    // Send webhook notification
-    const settings = await Settings.findOne();
-    if (settings?.webhook_url) {
-      await sendWebhook(settings.webhook_url, {
-        id: logId,
-        phone: formattedPhone,
-        status: log.status,
-        timestamp: log.updated_at.toISOString(),
-        error_message: log.error_message
+    if (result.valid) {
+      return res.json({
+        id: result.id,
+        valid: true,
+        message: 'OTP verified successfully'
       });
     }
     
+    const failure = VERIFY_ERRORS[result.error_code];
+    res.status(failure.status).json({
+      valid: false,
+      error: failure.message,
+      code: result.error_code,
+      attempts_remaining: result.attempts_remaining
+    });
+    
+  } catch (error) {
+    logger.error('Error in verify-otp', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/messages/:id - Status pesan untuk client (scope read-logs)
+router.get('/messages/:id', requireApiKey('read-logs'), async (req, res) => {
+  try {
+    const log = await Log.findOne({ id: req.params.id });
+    if (!log) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
     res.json({
-      id: logId,
+      id: log.id,
+      phone: log.phone,
+      country: log.country,
+      session: log.session_id,
+      request_id: log.request_id,
+      type: log.message_type,
       status: log.status,
-      message: result.success ? 'OTP sent successfully' : 'Failed to send OTP',
-      error: result.error || null
+      attempts: log.attempts,
+      error_message: log.error_message,
+      scheduled_at: log.scheduled_at ? log.scheduled_at.toISOString() : null,
+      sent_at: log.sent_at ? log.sent_at.toISOString() : null,
+      delivered_at: log.delivered_at ? log.delivered_at.toISOString() : null,
+      read_at: log.read_at ? log.read_at.toISOString() : null,
+      time: log.created_at.toISOString()
     });
-    
   } catch (error) {
-    console.error('❌ Error in send-otp:', error.message);
+    logger.error('Error fetching message', { err: error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
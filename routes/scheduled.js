@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Log = require('../models/Log');
+const { requireApiKey } = require('../middleware/auth');
+const { validateRescheduleRequest } = require('../middleware/validation');
+const { formatScheduledMessage, rescheduleMessage, cancelScheduledMessage } = require('../services/schedule');
+const { DEFAULT_TIMEZONE, parseDateTimeInZone } = require('../utils/time');
+const logger = require('../utils/logger').child({ component: 'routes/scheduled' });
+
+const SCHEDULE_ERRORS = {
+  scheduled_not_found: { status: 404, message: 'Scheduled message not found' },
+  already_dispatched: { status: 409, message: 'Message is already being sent' }
+};
+
+function sendScheduleError(res, errorCode) {
+  const failure = SCHEDULE_ERRORS[errorCode];
+  res.status(failure.status).json({ error: failure.message, code: errorCode });
+}
+
+// GET /api/scheduled - Daftar pesan yang menunggu waktu kirim
+router.get('/', requireApiKey('read-logs'), async (req, res) => {
+  try {
+    const { limit = 10, page = 1, phone, session, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    let filter = { status: 'scheduled' };
+    if (phone) filter.phone = { $regex: phone, $options: 'i' };
+    if (session) filter.session_id = session;
+    if (from || to) {
+      filter.scheduled_at = {};
+      if (from) filter.scheduled_at.$gte = new Date(from);
+      if (to) filter.scheduled_at.$lte = new Date(to);
+    }
+    
+    const logs = await Log.find(filter)
+      .sort({ scheduled_at: 1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+    
+    const total = await Log.countDocuments(filter);
+    
+    res.json({
+      data: logs.map(formatScheduledMessage),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: Math.ceil(total / parseInt(limit)),
+        total_items: total,
+        per_page: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching scheduled messages', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/scheduled/:id - Ubah waktu kirim
+router.patch('/:id', validateRescheduleRequest, requireApiKey('send'), async (req, res) => {
+  try {
+    const timezone = req.body.timezone || DEFAULT_TIMEZONE;
+    const result = await rescheduleMessage(req.params.id, {
+      sendAt: parseDateTimeInZone(req.body.send_at, timezone),
+      timezone,
+      onMissed: req.body.on_missed
+    });
+    if (!result.success) {
+      return sendScheduleError(res, result.error_code);
+    }
+    
+    res.json({
+      ...formatScheduledMessage(result.log),
+      message: 'Message rescheduled'
+    });
+  } catch (error) {
+    logger.error('Error rescheduling message', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/scheduled/:id - Batalkan pesan terjadwal
+router.delete('/:id', requireApiKey('send'), async (req, res) => {
+  try {
+    const result = await cancelScheduledMessage(req.params.id);
+    if (!result.success) {
+      return sendScheduleError(res, result.error_code);
+    }
+    
+    res.json({
+      ...formatScheduledMessage(result.log),
+      message: 'Scheduled message cancelled'
+    });
+  } catch (error) {
+    logger.error('Error cancelling scheduled message', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
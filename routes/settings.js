@@ -1,78 +1,205 @@
 const express = require('express');
 const router = express.Router();
 const Settings = require('../models/Settings');
-const { generateApiKey } = require('../utils/helpers');
+const ApiKey = require('../models/ApiKey');
+const { generateWebhookSecret } = require('../utils/helpers');
+const { createApiKey, revokeApiKey } = require('../services/apiKeys');
+const { ensureWebhookSecret } = require('../services/webhook');
 const { validateSettingsRequest } = require('../middleware/validation');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const { recordAudit } = require('../services/audit');
+const logger = require('../utils/logger').child({ component: 'routes/settings' });
+
+// Semua route settings butuh login
+router.use(verifyToken);
+
+const OTP_FIELDS = ['otp_length', 'otp_alphabet', 'otp_ttl_seconds', 'otp_max_attempts'];
+const RATE_LIMIT_FIELDS = [
+  'rate_limit_per_key_per_minute',
+  'rate_limit_per_phone_per_hour',
+  'rate_limit_per_ip_per_minute',
+  'rate_limit_global_per_minute'
+];
+
+const PRIVACY_FIELDS = [
+  'log_retention_days',
+  'log_retention_statuses',
+  'message_redaction',
+  'mask_phone_for_non_admin'
+];
+
+function formatOtpSettings(settings) {
+  return {
+    length: settings.otp_length,
+    alphabet: settings.otp_alphabet,
+    ttl_seconds: settings.otp_ttl_seconds,
+    max_attempts: settings.otp_max_attempts
+  };
+}
+
+function formatRateLimitSettings(settings) {
+  return {
+    per_key_per_minute: settings.rate_limit_per_key_per_minute,
+    per_phone_per_hour: settings.rate_limit_per_phone_per_hour,
+    per_ip_per_minute: settings.rate_limit_per_ip_per_minute,
+    global_per_minute: settings.rate_limit_global_per_minute
+  };
+}
+
+function formatPrivacySettings(settings) {
+  return {
+    log_retention_days: settings.log_retention_days,
+    log_retention_statuses: settings.log_retention_statuses,
+    message_redaction: settings.message_redaction,
+    mask_phone_for_non_admin: settings.mask_phone_for_non_admin
+  };
+}
+
+// Nilai settings yang bisa diubah, untuk diff audit log
+function snapshotSettings(settings) {
+  const snapshot = {
+    webhook_url: settings.webhook_url,
+    webhook_secret: settings.webhook_secret,
+    allow_registration: settings.allow_registration,
+    idempotency_window_seconds: settings.idempotency_window_seconds,
+    number_check_cache_seconds: settings.number_check_cache_seconds
+  };
+  for (const field of [...OTP_FIELDS, ...RATE_LIMIT_FIELDS, ...PRIVACY_FIELDS]) {
+    // Salin array supaya snapshot 'before' tidak ikut berubah
+    snapshot[field] = Array.isArray(settings[field]) ? [...settings[field]] : settings[field];
+  }
+  return snapshot;
+}
 
 // GET /api/settings
 router.get('/', async (req, res) => {
   try {
-    const settings = await Settings.findOne() || {};
+    const settings = await Settings.current();
     res.json({
       webhook_url: settings.webhook_url || '',
-      api_key: settings.api_key || ''
+      // Secret webhook hanya ditampilkan ke admin
+      webhook_secret: req.user.role === 'admin' ? (settings.webhook_secret || '') : null,
+      allow_registration: settings.allow_registration,
+      idempotency_window_seconds: settings.idempotency_window_seconds,
+      number_check_cache_seconds: settings.number_check_cache_seconds,
+      otp: formatOtpSettings(settings),
+      rate_limits: formatRateLimitSettings(settings),
+      privacy: formatPrivacySettings(settings)
     });
   } catch (error) {
-    console.error('Error fetching settings:', error.message);
+    logger.error('Error fetching settings', { err: error });
     res.status(500).json({ error: 'Failed to fetch settings' });
   }
 });
 
 // POST /api/settings
-router.post('/', validateSettingsRequest, async (req, res) => {
+router.post('/', requireAdmin, validateSettingsRequest, async (req, res) => {
   try {
-    const { webhook_url, api_key } = req.body;
+    const { webhook_url } = req.body;
     
     let settings = await Settings.findOne();
+    const before = settings ? snapshotSettings(settings) : {};
     if (settings) {
       settings.webhook_url = webhook_url || settings.webhook_url;
-      if (api_key) settings.api_key = api_key;
-      settings.updated_at = new Date();
-      await settings.save();
     } else {
       settings = new Settings({
-        webhook_url: webhook_url || '',
-        api_key: api_key || generateApiKey()
+        webhook_url: webhook_url || ''
       });
-      await settings.save();
     }
+    if (req.body.allow_registration !== undefined) {
+      settings.allow_registration = req.body.allow_registration;
+    }
+    if (req.body.idempotency_window_seconds !== undefined) {
+      settings.idempotency_window_seconds = req.body.idempotency_window_seconds;
+    }
+    if (req.body.number_check_cache_seconds !== undefined) {
+      settings.number_check_cache_seconds = req.body.number_check_cache_seconds;
+    }
+    for (const field of [...OTP_FIELDS, ...RATE_LIMIT_FIELDS, ...PRIVACY_FIELDS]) {
+      if (req.body[field] !== undefined) settings[field] = req.body[field];
+    }
+    if (settings.webhook_url) {
+      await ensureWebhookSecret(settings);
+    }
+    settings.updated_at = new Date();
+    await settings.save();
+    
+    await recordAudit(req, {
+      action: 'settings.update',
+      before,
+      after: snapshotSettings(settings)
+    });
     
     res.json({
       message: 'Settings updated successfully',
       webhook_url: settings.webhook_url,
-      api_key: settings.api_key
+      webhook_secret: settings.webhook_secret || '',
+      allow_registration: settings.allow_registration,
+      idempotency_window_seconds: settings.idempotency_window_seconds,
+      number_check_cache_seconds: settings.number_check_cache_seconds,
+      otp: formatOtpSettings(settings),
+      rate_limits: formatRateLimitSettings(settings),
+      privacy: formatPrivacySettings(settings)
     });
   } catch (error) {
-    console.error('Error updating settings:', error.message);
+    logger.error('Error updating settings', { err: error });
     res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
-// POST /api/settings/generate-apikey
-router.post('/generate-apikey', async (req, res) => {
+// POST /api/settings/generate-apikey - Ganti key 'default' (kompatibel dengan dashboard lama).
+// Untuk key bernama dan ber-scope gunakan /api/api-keys.
+router.post('/generate-apikey', requireAdmin, async (req, res) => {
   try {
-    const newApiKey = generateApiKey();
+    const previousKeys = await ApiKey.find({ name: 'default', revoked_at: null });
+    const { key: newApiKey } = await createApiKey({ name: 'default' });
+    for (const previous of previousKeys) {
+      await revokeApiKey(previous.id);
+    }
+    
+    await recordAudit(req, {
+      action: 'api_key.regenerate',
+      target: 'default',
+      details: `Revoked ${previousKeys.length} previous default key(s)`
+    });
+    
+    res.json({
+      message: 'New API key generated successfully',
+      api_key: newApiKey
+    });
+  } catch (error) {
+    logger.error('Error generating API key', { err: error });
+    res.status(500).json({ error: 'Failed to generate API key' });
+  }
+});
+
+// POST /api/settings/generate-webhook-secret
+router.post('/generate-webhook-secret', requireAdmin, async (req, res) => {
+  try {
+    const newSecret = generateWebhookSecret();
     
     let settings = await Settings.findOne();
     if (settings) {
-      settings.api_key = newApiKey;
+      settings.webhook_secret = newSecret;
       settings.updated_at = new Date();
       await settings.save();
     } else {
       settings = new Settings({
         webhook_url: '',
-        api_key: newApiKey
+        webhook_secret: newSecret
       });
       await settings.save();
     }
     
+    await recordAudit(req, { action: 'settings.webhook_secret_regenerate' });
+    
     res.json({
-      message: 'New API key generated successfully',
-      api_key: newApiKey
+      message: 'New webhook secret generated successfully',
+      webhook_secret: newSecret
     });
   } catch (error) {
-    console.error('Error generating API key:', error.message);
-    res.status(500).json({ error: 'Failed to generate API key' });
+    logger.error('Error generating webhook secret', { err: error });
+    res.status(500).json({ error: 'Failed to generate webhook secret' });
   }
 });
 
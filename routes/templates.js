@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const Template = require('../models/Template');
+const { validateTemplateRequest } = require('../middleware/validation');
+const { getRequiredVariables } = require('../services/template');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const { recordAudit } = require('../services/audit');
+const logger = require('../utils/logger').child({ component: 'routes/templates' });
+
+// Semua route template butuh login; perubahan khusus admin
+router.use(verifyToken);
+
+function formatTemplate(template) {
+  return {
+    name: template.name,
+    description: template.description,
+    default_language: template.default_language,
+    variants: template.variants.map(variant => ({
+      language: variant.language,
+      body: variant.body,
+      required_variables: getRequiredVariables(variant.body)
+    })),
+    created_at: template.created_at.toISOString(),
+    updated_at: template.updated_at.toISOString()
+  };
+}
+
+function snapshotTemplate(template) {
+  return {
+    description: template.description,
+    default_language: template.default_language,
+    variants: template.variants.map(({ language, body }) => ({ language, body }))
+  };
+}
+
+// GET /api/templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await Template.find().sort({ name: 1 });
+    res.json({ data: templates.map(formatTemplate) });
+  } catch (error) {
+    logger.error('Error fetching templates', { err: error });
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// GET /api/templates/:name
+router.get('/:name', async (req, res) => {
+  try {
+    const template = await Template.findOne({ name: req.params.name.toLowerCase() });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(formatTemplate(template));
+  } catch (error) {
+    logger.error('Error fetching template', { err: error });
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
+
+// POST /api/templates
+router.post('/', requireAdmin, validateTemplateRequest, async (req, res) => {
+  try {
+    const { name, description, default_language, variants } = req.body;
+    
+    const existing = await Template.findOne({ name: name.toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ error: 'Template name already exists' });
+    }
+    
+    const template = await Template.create({
+      name,
+      description: description || '',
+      default_language: default_language || variants[0].language,
+      variants: variants.map(({ language, body }) => ({ language, body }))
+    });
+    
+    await recordAudit(req, {
+      action: 'template.create',
+      target: template.name,
+      after: snapshotTemplate(template)
+    });
+    
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Error creating template', { err: error });
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+// PUT /api/templates/:name
+router.put('/:name', requireAdmin, validateTemplateRequest, async (req, res) => {
+  try {
+    const { description, default_language, variants } = req.body;
+    
+    const template = await Template.findOne({ name: req.params.name.toLowerCase() });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    const before = snapshotTemplate(template);
+    if (description !== undefined) template.description = description;
+    if (default_language !== undefined) template.default_language = default_language;
+    if (variants !== undefined) {
+      template.variants = variants.map(({ language, body }) => ({ language, body }));
+    }
+    template.updated_at = new Date();
+    await template.save();
+    
+    await recordAudit(req, {
+      action: 'template.update',
+      target: template.name,
+      before,
+      after: snapshotTemplate(template)
+    });
+    
+    res.json({
+      message: 'Template updated successfully',
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Error updating template', { err: error });
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+// DELETE /api/templates/:name
+router.delete('/:name', requireAdmin, async (req, res) => {
+  try {
+    const template = await Template.findOneAndDelete({ name: req.params.name.toLowerCase() });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    await recordAudit(req, {
+      action: 'template.delete',
+      target: template.name,
+      before: snapshotTemplate(template)
+    });
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting template', { err: error });
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete template' 
+    });
+  }
+});
+
+module.exports = router;
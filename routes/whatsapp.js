@@ -1,26 +1,54 @@
 const express = require('express');
 const router = express.Router();
-const { getStatus, disconnect, refreshQR, getDeviceInfo, getLoginHistory, saveLoginHistory, initializeWhatsApp } = require('../services/whatsapp');
+const { isValidSessionId, normalizePhoneNumber } = require('../utils/helpers');
+const AuditEvent = require('../models/AuditEvent');
+const { DEFAULT_SESSION, getStatus, listSessions, disconnect, refreshQR, getDeviceInfo, initializeWhatsApp, requestPairingCode } = require('../services/whatsapp');
+const { recordAudit, formatAuditEvent } = require('../services/audit');
+const { verifyToken, requireAdmin } = require('../middleware/autentikasi');
+const logger = require('../utils/logger').child({ component: 'routes/whatsapp' });
+
+// Semua route kontrol WhatsApp butuh login; aksi yang mengubah sesi khusus admin
+router.use(verifyToken);
+
+// Validasi ID sesi untuk semua route /api/whatsapp/:sessionId/*
+router.param('sessionId', (req, res, next, sessionId) => {
+  if (!isValidSessionId(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session id (1-32 characters: letters, digits, _ or -)' });
+  }
+  next();
+});
+
+// Route tanpa :sessionId memakai sesi default
+function sessionIdOf(req) {
+  return req.params.sessionId || DEFAULT_SESSION;
+}
+
+// GET /api/whatsapp/sessions - Daftar semua sesi beserta statusnya
+router.get('/sessions', (req, res) => {
+  const sessions = listSessions().map(status => ({
+    session_id: status.session_id,
+    connected: status.connected,
+    phone_number: status.phone_number,
+    qr_available: status.qr_available,
+    initialized: status.initialized || false
+  }));
+  res.json({ data: sessions });
+});
 
 // POST /api/whatsapp/initialize - Initialize WhatsApp connection
-router.post('/initialize', async (req, res) => {
+// POST /api/whatsapp/:sessionId/initialize - Initialize sesi tertentu
+router.post(['/initialize', '/:sessionId/initialize'], requireAdmin, async (req, res) => {
   try {
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
-    
-    const result = await initializeWhatsApp();
-    
-    // Log initialization activity
-    if (saveLoginHistory) {
-      await saveLoginHistory({
-        action: 'initialize',
-        success: result.success,
-        ip_address: clientIP,
-        user_agent: userAgent,
-        timestamp: new Date(),
-        details: result.success ? 'WhatsApp initialization started' : result.error
-      });
-    }
+    const sessionId = sessionIdOf(req);
+    
+    const result = await initializeWhatsApp(sessionId);
+    
+    await recordAudit(req, {
+      action: 'whatsapp.initialize',
+      target: sessionId,
+      success: result.success,
+      details: result.success ? 'WhatsApp initialization started' : (result.error || result.message)
+    });
     
     if (result.success) {
       res.json({
@@ -34,7 +62,7 @@ router.post('/initialize', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Initialize WhatsApp error:', error);
+    logger.error('Initialize WhatsApp error', { err: error });
     res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -43,24 +71,32 @@ router.post('/initialize', async (req, res) => {
 });
 
 // GET /api/whatsapp/status
-router.get('/status', (req, res) => {
-  const status = getStatus();
+// GET /api/whatsapp/:sessionId/status
+router.get(['/status', '/:sessionId/status'], (req, res) => {
+  const status = getStatus(sessionIdOf(req));
   res.json({
+    session_id: status.session_id,
     connected: status.connected,
     phone_number: status.phone_number,
     last_seen: status.last_seen || null,
     connection_time: status.connection_time || null,
     qr_available: status.qr_available,
+    pairing_code_available: !!status.pairing_code,
     initialized: status.initialized || false
   });
 });
 
 // GET /api/whatsapp/qrcode - Hanya untuk Dashboard
-router.get('/qrcode', (req, res) => {
-  const status = getStatus();
+// GET /api/whatsapp/:sessionId/qrcode
+router.get(['/qrcode', '/:sessionId/qrcode'], requireAdmin, (req, res) => {
+  const status = getStatus(sessionIdOf(req));
   
   if (status.qrcode) {
-    res.json({ qrcode: status.qrcode });
+    res.json({
+      qrcode: status.qrcode,
+      pairing_code: status.pairing_code,
+      pairing_code_expires_at: status.pairing_code_expires_at
+    });
   } else if (status.connected) {
     res.status(400).json({ error: 'WhatsApp is already connected' });
   } else if (!status.initialized) {
@@ -70,6 +106,47 @@ router.get('/qrcode', (req, res) => {
   }
 });
 
+// POST /api/whatsapp/pairing-code - Tautkan nomor dengan pairing code, bukan scan QR
+// POST /api/whatsapp/:sessionId/pairing-code
+router.post(['/pairing-code', '/:sessionId/pairing-code'], requireAdmin, async (req, res) => {
+  try {
+    const { phone } = req.body;
+    const sessionId = req.params.sessionId || req.body.session || DEFAULT_SESSION;
+    
+    if (!isValidSessionId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+    // Nomor akun WhatsApp sendiri; nomor bisnis boleh berupa telepon rumah
+    const normalized = normalizePhoneNumber(phone, { allowNonMobile: true });
+    if (!phone || !normalized.valid) {
+      return res.status(400).json({ error: 'A valid phone number is required', code: normalized.error_code });
+    }
+    
+    const result = await requestPairingCode(sessionId, normalized.phone);
+    
+    await recordAudit(req, {
+      action: 'whatsapp.pairing_code',
+      target: sessionId,
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+    
+    if (result.success) {
+      res.json({
+        session_id: sessionId,
+        pairing_code: result.pairing_code,
+        expires_at: result.expires_at,
+        message: 'Enter this code in WhatsApp > Linked devices > Link with phone number'
+      });
+    } else {
+      res.status(400).json({ error: result.error });
+    }
+  } catch (error) {
+    logger.error('Pairing code error', { err: error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/whatsapp/device-info - Informasi device yang terhubung
 router.get('/device-info', (req, res) => {
   try {
@@ -93,38 +170,20 @@ router.get('/device-info', (req, res) => {
   }
 });
 
-// GET /api/whatsapp/login-history - Riwayat login
-router.get('/login-history', (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    const history = getLoginHistory ? getLoginHistory(limit, offset) : [];
-    res.json(history);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // POST /api/whatsapp/disconnect
-router.post('/disconnect', async (req, res) => {
+// POST /api/whatsapp/:sessionId/disconnect
+router.post(['/disconnect', '/:sessionId/disconnect'], requireAdmin, async (req, res) => {
   try {
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
-    
-    const result = await disconnect();
-    
-    // Log disconnect activity
-    if (saveLoginHistory) {
-      await saveLoginHistory({
-        action: 'disconnect',
-        success: result.success,
-        ip_address: clientIP,
-        user_agent: userAgent,
-        timestamp: new Date(),
-        details: result.success ? 'Manual disconnect' : result.error
-      });
-    }
+    const sessionId = sessionIdOf(req);
+    
+    const result = await disconnect(sessionId);
+    
+    await recordAudit(req, {
+      action: 'whatsapp.disconnect',
+      target: sessionId,
+      success: result.success,
+      details: result.success ? 'Manual disconnect' : result.error
+    });
     
     if (result.success) {
       res.json({ message: 'WhatsApp disconnected successfully' });
@@ -137,7 +196,7 @@ router.post('/disconnect', async (req, res) => {
 });
 
 // POST /api/whatsapp/refresh-qrcode - Hanya untuk Dashboard
-router.post('/refresh-qrcode', async (req, res) => {
+router.post('/refresh-qrcode', requireAdmin, async (req, res) => {
   try {
     const status = getStatus();
     
@@ -147,6 +206,13 @@ router.post('/refresh-qrcode', async (req, res) => {
     
     const result = await refreshQR();
     
+    await recordAudit(req, {
+      action: 'whatsapp.refresh_qr',
+      target: DEFAULT_SESSION,
+      success: result.success,
+      details: result.success ? null : result.error
+    });
+    
     if (result.success) {
       res.json({ message: 'QR code refresh initiated' });
     } else {
@@ -158,11 +224,13 @@ router.post('/refresh-qrcode', async (req, res) => {
 });
 
 // GET /api/whatsapp/account-summary - Summary untuk halaman akun
-router.get('/account-summary', (req, res) => {
+router.get('/account-summary', async (req, res) => {
   try {
     const status = getStatus();
     const deviceInfo = status.connected && getDeviceInfo ? getDeviceInfo() : null;
-    const recentHistory = getLoginHistory ? getLoginHistory(3, 0) : []; // 3 terakhir
+    const recentHistory = await AuditEvent.find({ action: /^whatsapp\./ })
+      .sort({ created_at: -1 })
+      .limit(3); // 3 terakhir
     
     res.json({
       status: {
@@ -179,7 +247,11 @@ router.get('/account-summary', (req, res) => {
         device_id: deviceInfo.device_id,
         connected_at: deviceInfo.connected_at
       } : null,
-      recent_activity: recentHistory
+      // Halaman akun terbuka untuk semua user; actor, IP dan user agent hanya di audit log admin
+      recent_activity: recentHistory.map(event => {
+        const { actor, ip_address, user_agent, ...activity } = formatAuditEvent(event);
+        return activity;
+      })
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -190,7 +262,7 @@ router.get('/account-summary', (req, res) => {
 router.post('/force-refresh', async (req, res) => {
   try {
     // Trigger refresh status dari WhatsApp service
-    const status = await getStatus(true); // force refresh
+    const status = getStatus();
     res.json({
       message: 'Status refreshed successfully',
       status: {
@@ -1,18 +1,36 @@
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const { setupSocket } = require('./config/socket');
 const { connectDatabase } = require('./config/database');
 const { prepareWhatsApp } = require('./services/whatsapp'); // Ganti dari initializeWhatsApp
+const { startQueueWorker, stopQueueWorker } = require('./services/queue');
+const { resumePendingDeliveries } = require('./services/webhook');
+const { startReceiptTracking } = require('./services/messageStatus');
+const { startInboundTracking } = require('./services/inbound');
+const { startRetentionWorker, stopRetentionWorker } = require('./services/retention');
+const { migrateLegacyApiKey } = require('./services/apiKeys');
+const { getOtpSecret } = require('./services/otp');
+const { httpMetrics } = require('./services/metrics');
+const { requestId } = require('./middleware/requestId');
+const logger = require('./utils/logger').child({ component: 'server' });
 
 // Import routes
 const dashboardRoutes = require('./routes/dashboard');
 const whatsappRoutes = require('./routes/whatsapp');
 const settingsRoutes = require('./routes/settings');
 const otpRoutes = require('./routes/otp');
+const bulkRoutes = require('./routes/bulk');
+const messageRoutes = require('./routes/messages');
+const numberRoutes = require('./routes/numbers');
+const scheduledRoutes = require('./routes/scheduled');
 const authRoutes = require('./routes/auth');
-
-require('dotenv').config();
+const templateRoutes = require('./routes/templates');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const metricsRoutes = require('./routes/metrics');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,9 +40,18 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 // Setup Socket.IO
 const io = setupSocket(server, FRONTEND_URL);
 
+// Di belakang proxy (mis. Railway) req.ip baru benar jika TRUST_PROXY diatur
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : (parseInt(TRUST_PROXY) || TRUST_PROXY));
+}
+
 // Middleware
+app.use(requestId);
+app.use(httpMetrics);
 app.use(cors({ origin: FRONTEND_URL }));
-app.use(express.json());
+// Batas body dinaikkan untuk media base64 di /api/send-message
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '15mb' }));
 
 // Make io accessible to routes
 app.set('io', io);
@@ -33,12 +60,20 @@ app.set('io', io);
 app.use('/api', dashboardRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api', otpRoutes);
+app.use('/api', bulkRoutes);
+app.use('/api', messageRoutes);
+app.use('/api', numberRoutes);
+app.use('/api/scheduled', scheduledRoutes);
 app.use('/auth', authRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
-  const { getStatus } = require('./services/whatsapp');
+  const { getStatus, listSessions } = require('./services/whatsapp');
   const waStatus = getStatus();
   res.json({ 
     status: 'OK',
@@ -48,7 +83,11 @@ app.get('/health', (req, res) => {
       connected: waStatus.connected,
       phone_number: waStatus.phone_number,
       qr_available: waStatus.qr_available,
-      initialized: waStatus.initialized || false
+      initialized: waStatus.initialized || false,
+      sessions: listSessions().map(session => ({
+        session_id: session.session_id,
+        connected: session.connected
+      }))
     }
   });
 });
@@ -66,25 +105,32 @@ app.post('/api/restart', (req, res) => {
 // Initialize services
 async function startServer() {
   try {
+    getOtpSecret(); // Gagal di awal jika kunci hash OTP belum diatur
     await connectDatabase();
+    await migrateLegacyApiKey();
     
     // Hanya prepare WhatsApp service, tidak langsung initialize
-    await prepareWhatsApp(io);
+    await prepareWhatsApp();
+    await startQueueWorker();
+    startReceiptTracking();
+    startInboundTracking();
+    await resumePendingDeliveries();
+    startRetentionWorker();
     
     server.listen(PORT, () => {
-      console.log(`🚀 WhatsApp OTP Gateway running on port ${PORT}`);
-      console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
-      console.log(`📱 WhatsApp ready to initialize when requested`);
+      logger.info('WhatsApp OTP Gateway running, WhatsApp ready to initialize when requested', { port: PORT, frontend_url: FRONTEND_URL });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('Failed to start server', { err: error });
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('👋 Shutting down gracefully...');
+  logger.info('Shutting down gracefully');
+  stopQueueWorker();
+  stopRetentionWorker();
   const { cleanup } = require('./services/whatsapp');
   await cleanup();
   server.close(() => process.exit(0));
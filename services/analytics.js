@@ -0,0 +1,174 @@
+const Log = require('../models/Log');
+const ApiKey = require('../models/ApiKey');
+
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_BUCKETS = 1000;
+const PERCENTILES = [50, 90, 95, 99];
+
+// Kategori error_message untuk breakdown; urutan menentukan prioritas
+const ERROR_CATEGORIES = [
+  ['not_connected', /not connected|connection (closed|lost)/i],
+  ['schedule_missed', /scheduled send time was missed/i],
+  ['not_on_whatsapp', /not (registered )?on whatsapp|not registered/i],
+  ['timeout', /time(d)? ?out/i],
+  ['rate_limited', /rate|too many/i],
+  ['media', /media|upload|mime/i]
+];
+
+function categorizeError(message) {
+  if (!message) return 'unknown';
+  const match = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Terlalu banyak bucket membuat respons dan grafik tidak berguna.
+ * @returns {boolean}
+ */
+function isRangeTooLarge(from, to, interval) {
+  return (to.getTime() - from.getTime()) / INTERVAL_MS[interval] > MAX_BUCKETS;
+}
+
+function countBy(field) {
+  return [{ $group: { _id: field, count: { $sum: 1 } } }, { $sort: { count: -1 } }];
+}
+
+/**
+ * Persentil latensi kirim (created/scheduled -> sent) dengan metode nearest-rank,
+ * memakai sort di MongoDB supaya tidak perlu memuat semua data.
+ * @param {object} match - Filter Log.
+ * @returns {object} - { count, avg_ms, p50_ms, ... }
+ */
+async function getLatencyStats(match) {
+  const base = [
+    { $match: { ...match, sent_at: { $ne: null } } },
+    // Pesan terjadwal dihitung dari waktu jadwal, bukan waktu dibuat
+    { $project: { latency: { $subtract: ['$sent_at', { $ifNull: ['$scheduled_at', '$created_at'] }] } } },
+    { $match: { latency: { $gte: 0 } } }
+  ];
+
+  const [summary] = await Log.aggregate([
+    ...base,
+    { $group: { _id: null, count: { $sum: 1 }, avg: { $avg: '$latency' }, max: { $max: '$latency' } } }
+  ]);
+
+  const stats = { count: summary ? summary.count : 0, avg_ms: summary ? Math.round(summary.avg) : null };
+  for (const percentile of PERCENTILES) {
+    stats[`p${percentile}_ms`] = null;
+  }
+  if (!summary) return stats;
+
+  for (const percentile of PERCENTILES) {
+    const rank = Math.max(Math.ceil((percentile / 100) * summary.count) - 1, 0);
+    const [row] = await Log.aggregate([...base, { $sort: { latency: 1 } }, { $skip: rank }, { $limit: 1 }])
+      .allowDiskUse(true);
+    stats[`p${percentile}_ms`] = row ? row.latency : null;
+  }
+  stats.max_ms = summary.max;
+  return stats;
+}
+
+/**
+ * Statistik pengiriman untuk rentang waktu: time series per bucket, breakdown
+ * per status/kategori error/negara/API key, dan persentil latensi kirim.
+ * @param {object} query - { from, to, timezone, interval, session, api_key_id }
+ * @returns {object}
+ */
+async function getAnalytics({ from, to, timezone, interval, session, api_key_id }) {
+  const match = { created_at: { $gte: from, $lt: to } };
+  if (session) match.session_id = session;
+  if (api_key_id) match.api_key_id = api_key_id;
+
+  const bucketOptions = { date: '$created_at', unit: interval, timezone };
+  if (interval === 'week') bucketOptions.startOfWeek = 'monday';
+  const sentCondition = { $in: ['$status', Log.SENT_STATUSES] };
+  const sumIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const [facets] = await Log.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: { $dateTrunc: bucketOptions },
+              total: { $sum: 1 },
+              sent: sumIf(sentCondition),
+              delivered: sumIf({ $in: ['$status', ['delivered', 'read']] }),
+              read: sumIf({ $eq: ['$status', 'read'] }),
+              failed: sumIf({ $eq: ['$status', 'failed'] })
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        status: countBy('$status'),
+        errors: [{ $match: { status: 'failed' } }, ...countBy('$error_message')],
+        // Log lama belum punya country; pakai dua digit awal nomor sebagai prefix
+        country: countBy({ $ifNull: ['$country', { $concat: ['+', { $substrCP: ['$phone', 0, 2] }] }] }),
+        api_key: countBy('$api_key_id')
+      }
+    }
+  ]);
+
+  const statusCounts = Object.fromEntries(facets.status.map(row => [row._id, row.count]));
+  const total = facets.status.reduce((sum, row) => sum + row.count, 0);
+  const sent = Log.SENT_STATUSES.reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+  const failed = statusCounts.failed || 0;
+
+  const errorCategories = {};
+  for (const row of facets.errors) {
+    const category = categorizeError(row._id);
+    errorCategories[category] = (errorCategories[category] || 0) + row.count;
+  }
+
+  const apiKeyIds = facets.api_key.map(row => row._id).filter(Boolean);
+  const apiKeys = await ApiKey.find({ id: { $in: apiKeyIds } }).select('id name');
+  const apiKeyNames = new Map(apiKeys.map(key => [key.id, key.name]));
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString(), timezone, interval },
+    totals: {
+      total,
+      sent,
+      delivered: (statusCounts.delivered || 0) + (statusCounts.read || 0),
+      read: statusCounts.read || 0,
+      failed,
+      pending: statusCounts.pending || 0,
+      scheduled: statusCounts.scheduled || 0,
+      cancelled: statusCounts.cancelled || 0,
+      success_rate: sent + failed > 0 ? Math.round((sent / (sent + failed)) * 100) : 0
+    },
+    series: facets.series.map(row => ({
+      bucket: row._id.toISOString(),
+      total: row.total,
+      sent: row.sent,
+      delivered: row.delivered,
+      read: row.read,
+      failed: row.failed
+    })),
+    breakdowns: {
+      status: facets.status.map(row => ({ key: row._id, count: row.count })),
+      error_category: Object.entries(errorCategories)
+        .map(([key, count]) => ({ key, count }))
+        .sort((a, b) => b.count - a.count),
+      country: facets.country.map(row => ({ key: row._id, count: row.count })),
+      api_key: facets.api_key.map(row => ({
+        key: row._id,
+        name: row._id ? (apiKeyNames.get(row._id) || null) : null,
+        count: row.count
+      }))
+    },
+    latency: await getLatencyStats(match)
+  };
+}
+
+module.exports = {
+  INTERVAL_MS,
+  categorizeError,
+  isRangeTooLarge,
+  getAnalytics
+};
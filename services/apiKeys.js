@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const Settings = require('../models/Settings');
+const { generateId, generateApiKey } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'api-keys' });
+
+/**
+ * Hash API key untuk penyimpanan dan pencarian. Key acak 128-bit sehingga
+ * SHA-256 tanpa salt sudah cukup.
+ * @param {string} key
+ * @returns {string}
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Membuat API key baru.
+ * @param {object} params - { name, scopes, expires_at }
+ * @param {string} [plainKey] - Key yang sudah ada (migrasi); default dibuat acak.
+ * @returns {object} - { apiKey: dokumen ApiKey, key: key asli }
+ */
+async function createApiKey({ name, scopes = ApiKey.SCOPES, expires_at = null }, plainKey = generateApiKey()) {
+  const apiKey = await ApiKey.create({
+    id: generateId('AK'),
+    name,
+    key_hash: hashApiKey(plainKey),
+    prefix: plainKey.slice(0, 10),
+    scopes,
+    expires_at
+  });
+  return { apiKey, key: plainKey };
+}
+
+/**
+ * Mencari API key aktif dari key asli.
+ * @param {string} key
+ * @returns {object} - { apiKey } atau { error }
+ */
+async function findActiveApiKey(key) {
+  const apiKey = await ApiKey.findOne({ key_hash: hashApiKey(key) });
+  if (!apiKey) {
+    return { error: 'Invalid API key' };
+  }
+  if (apiKey.revoked_at) {
+    return { error: 'API key has been revoked' };
+  }
+  if (apiKey.expires_at && apiKey.expires_at < new Date()) {
+    return { error: 'API key has expired' };
+  }
+  return { apiKey };
+}
+
+/**
+ * Mencabut API key.
+ * @param {string} id
+ * @returns {object|null} - Dokumen ApiKey, atau null jika tidak ditemukan.
+ */
+async function revokeApiKey(id) {
+  const apiKey = await ApiKey.findOne({ id });
+  if (!apiKey) return null;
+
+  if (!apiKey.revoked_at) {
+    apiKey.revoked_at = new Date();
+    apiKey.updated_at = new Date();
+    await apiKey.save();
+  }
+  return apiKey;
+}
+
+/**
+ * Mengganti API key: key lama dicabut, key baru dengan nama, scope dan
+ * masa berlaku yang sama dibuat. Key yang sudah dicabut atau kedaluwarsa
+ * tidak bisa dirotasi supaya tidak bisa dihidupkan kembali.
+ * @param {string} id
+ * @returns {object} - { success, apiKey, key, previous } atau { success: false, error_code }
+ */
+async function rotateApiKey(id) {
+  const existing = await ApiKey.findOne({ id });
+  if (!existing) return { success: false, error_code: 'api_key_not_found' };
+  if (existing.revoked_at || (existing.expires_at && existing.expires_at <= new Date())) {
+    return { success: false, error_code: 'api_key_inactive' };
+  }
+
+  // Cabut secara atomik lebih dulu supaya dua rotasi paralel tidak sama-sama membuat key baru
+  const previous = await ApiKey.findOneAndUpdate(
+    { _id: existing._id, revoked_at: null },
+    { $set: { revoked_at: new Date(), updated_at: new Date() } },
+    { new: true }
+  );
+  if (!previous) return { success: false, error_code: 'api_key_inactive' };
+
+  const created = await createApiKey({
+    name: previous.name,
+    scopes: previous.scopes,
+    expires_at: previous.expires_at
+  });
+  return { success: true, ...created, previous };
+}
+
+/**
+ * Memindahkan api_key plaintext lama di Settings ke koleksi ApiKey (sekali saja)
+ * supaya client yang sudah ada tetap bisa memakai key yang sama.
+ */
+async function migrateLegacyApiKey() {
+  const settings = await Settings.findOne();
+  if (!settings?.api_key) return;
+
+  const existing = await ApiKey.findOne({ key_hash: hashApiKey(settings.api_key) });
+  if (!existing) {
+    await createApiKey({ name: 'default' }, settings.api_key);
+    logger.info('Legacy API key migrated to ApiKey collection');
+  }
+
+  settings.api_key = undefined;
+  settings.updated_at = new Date();
+  await settings.save();
+}
+
+module.exports = {
+  hashApiKey,
+  createApiKey,
+  findActiveApiKey,
+  revokeApiKey,
+  rotateApiKey,
+  migrateLegacyApiKey
+};
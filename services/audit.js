@@ -0,0 +1,103 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('../utils/logger').child({ component: 'audit' });
+
+// Field yang nilainya tidak boleh masuk ke diff audit
+const SENSITIVE_FIELDS = ['password', 'api_key', 'webhook_secret', 'token', 'refresh_token', 'key_hash'];
+
+function redact(key, value) {
+  if (value === null || value === undefined) return value;
+  return SENSITIVE_FIELDS.includes(key) ? '[redacted]' : value;
+}
+
+/**
+ * Mengambil hanya field yang berubah antara dua objek.
+ * @param {object} before
+ * @param {object} after
+ * @returns {object} - { before, after } berisi field yang berubah saja
+ */
+function diffObjects(before = {}, after = {}) {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const oldValue = before?.[key];
+    const newValue = after?.[key];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.before[key] = redact(key, oldValue);
+      changes.after[key] = redact(key, newValue);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Menentukan pelaku dari request: user JWT, API key, atau anonim.
+ * @param {object} req
+ * @returns {object}
+ */
+function getActor(req) {
+  if (req?.user) {
+    return { type: 'user', id: String(req.user.userId), label: req.user.email || null };
+  }
+  if (req?.apiKey) {
+    return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.name };
+  }
+  return { type: req ? 'anonymous' : 'system', id: null, label: null };
+}
+
+/**
+ * Mencatat aksi ke audit log. Tidak pernah melempar error supaya kegagalan
+ * audit tidak menggagalkan aksi utamanya.
+ * @param {object} req - Request Express (boleh null untuk aksi sistem).
+ * @param {object} event - { action, target, success, details, before, after, actor }
+ */
+async function recordAudit(req, { action, target = null, success = true, details = null, before, after, actor }) {
+  try {
+    const changes = before !== undefined || after !== undefined
+      ? diffObjects(before, after)
+      : { before: null, after: null };
+
+    await AuditEvent.create({
+      action,
+      actor: { ...getActor(req), ...actor },
+      target,
+      success,
+      details,
+      changes,
+      ip_address: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+      user_agent: req ? (req.get('User-Agent') || null) : null
+    });
+  } catch (error) {
+    logger.error('Failed to record audit event', { action, err: error });
+  }
+}
+
+/**
+ * Format audit event untuk response API.
+ * @param {object} event - Dokumen AuditEvent.
+ * @returns {object}
+ */
+function formatAuditEvent(event) {
+  return {
+    id: event._id,
+    action: event.action,
+    actor: {
+      type: event.actor?.type,
+      id: event.actor?.id,
+      label: event.actor?.label
+    },
+    target: event.target,
+    success: event.success,
+    details: event.details,
+    changes: event.changes?.before || event.changes?.after ? event.changes : null,
+    ip_address: event.ip_address,
+    user_agent: event.user_agent,
+    time: event.created_at.toISOString()
+  };
+}
+
+module.exports = {
+  diffObjects,
+  recordAudit,
+  formatAuditEvent
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const AuthState = require('../models/AuthState');
+const logger = require('../utils/logger').child({ component: 'auth-state' });
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Kunci AES-256 dari AUTH_STATE_ENCRYPTION_KEY (string bebas, diturunkan dengan SHA-256).
+ * @returns {Buffer|null} - null jika enkripsi tidak diaktifkan.
+ */
+function getEncryptionKey() {
+  const secret = process.env.AUTH_STATE_ENCRYPTION_KEY;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+function encrypt(plaintext) {
+  const key = getEncryptionKey();
+  if (!key) return plaintext;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+function decrypt(value) {
+  if (!value.startsWith(ENCRYPTED_PREFIX)) return value;
+
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('Auth state is encrypted but AUTH_STATE_ENCRYPTION_KEY is not set');
+  }
+  const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function serialize(data) {
+  return encrypt(JSON.stringify(data, BufferJSON.replacer));
+}
+
+function deserialize(value) {
+  return JSON.parse(decrypt(value), BufferJSON.reviver);
+}
+
+// Sama dengan penamaan file useMultiFileAuthState, supaya hasil migrasi folder cocok
+function toStorageKey(key) {
+  return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+/**
+ * Pengganti useMultiFileAuthState yang menyimpan creds dan signal keys di MongoDB.
+ * @param {string} sessionId - ID sesi WhatsApp.
+ * @returns {object} - { state, saveCreds } untuk makeWASocket
+ */
+async function useMongoAuthState(sessionId) {
+  const writeData = (key, data) => AuthState.updateOne(
+    { session_id: sessionId, key: toStorageKey(key) },
+    { $set: { value: serialize(data), updated_at: new Date() } },
+    { upsert: true }
+  );
+
+  const stored = await AuthState.findOne({ session_id: sessionId, key: 'creds' }).lean();
+  const creds = stored ? deserialize(stored.value) : initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const keys = ids.map(id => toStorageKey(`${type}-${id}`));
+          const docs = await AuthState.find({ session_id: sessionId, key: { $in: keys } }).lean();
+          const byKey = new Map(docs.map(doc => [doc.key, doc.value]));
+
+          const data = {};
+          for (const id of ids) {
+            const value = byKey.get(toStorageKey(`${type}-${id}`));
+            let parsed = value ? deserialize(value) : null;
+            if (type === 'app-state-sync-key' && parsed) {
+              parsed = proto.Message.AppStateSyncKeyData.fromObject(parsed);
+            }
+            data[id] = parsed;
+          }
+          return data;
+        },
+        set: async (data) => {
+          const operations = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const filter = { session_id: sessionId, key: toStorageKey(`${category}-${id}`) };
+              operations.push(value
+                ? { updateOne: { filter, update: { $set: { value: serialize(value), updated_at: new Date() } }, upsert: true } }
+                : { deleteOne: { filter } });
+            }
+          }
+          if (operations.length > 0) {
+            await AuthState.bulkWrite(operations, { ordered: false });
+          }
+        }
+      }
+    },
+    saveCreds: () => writeData('creds', creds)
+  };
+}
+
+/**
+ * Menghapus seluruh auth state sebuah sesi (scan QR / pairing ulang diperlukan).
+ * @param {string} sessionId
+ * @returns {boolean} - true jika ada data yang dihapus.
+ */
+async function clearAuthState(sessionId) {
+  const result = await AuthState.deleteMany({ session_id: sessionId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Apakah sesi sudah punya creds tersimpan.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function hasAuthState(sessionId) {
+  return !!(await AuthState.exists({ session_id: sessionId, key: 'creds' }));
+}
+
+/**
+ * Migrasi satu kali dari folder useMultiFileAuthState lama ke MongoDB. Folder
+ * diganti nama menjadi '<folder>.migrated' supaya tidak diimpor ulang.
+ * @param {string} sessionId
+ * @param {string} folder - Path folder auth lama.
+ * @returns {number} - Jumlah entri yang diimpor.
+ */
+async function migrateAuthFolder(sessionId, folder) {
+  if (!fs.existsSync(path.join(folder, 'creds.json'))) return 0;
+  if (await hasAuthState(sessionId)) return 0;
+
+  const files = (await fs.promises.readdir(folder)).filter(file => file.endsWith('.json'));
+  const operations = [];
+  for (const file of files) {
+    const raw = await fs.promises.readFile(path.join(folder, file), 'utf-8');
+    const data = JSON.parse(raw, BufferJSON.reviver);
+    operations.push({
+      updateOne: {
+        filter: { session_id: sessionId, key: file.slice(0, -'.json'.length) },
+        update: { $set: { value: serialize(data), updated_at: new Date() } },
+        upsert: true
+      }
+    });
+  }
+  if (operations.length > 0) {
+    await AuthState.bulkWrite(operations, { ordered: false });
+  }
+
+  await fs.promises.rename(folder, `${folder}.migrated`);
+  logger.info('Migrated auth folder to MongoDB', { session: sessionId, entries: operations.length });
+  return operations.length;
+}
+
+module.exports = {
+  useMongoAuthState,
+  clearAuthState,
+  hasAuthState,
+  migrateAuthFolder
+};
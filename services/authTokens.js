@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { 
+      userId: user._id,
+      email: user.email,
+      role: user.role 
+    }, 
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+async function createRefreshToken(user, family, req) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    token_hash: hashToken(token),
+    user: user._id,
+    family,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip_address: req?.ip || null,
+    user_agent: req?.get('User-Agent') || null
+  });
+  return token;
+}
+
+/**
+ * Membuat pasangan access token (JWT) dan refresh token untuk login baru.
+ * @param {object} user - Dokumen User.
+ * @param {object} [req] - Request Express, untuk mencatat IP dan user agent.
+ * @returns {object} - { token, refresh_token, expires_in }
+ */
+async function issueTokens(user, req) {
+  const family = crypto.randomUUID();
+  return {
+    token: signAccessToken(user),
+    refresh_token: await createRefreshToken(user, family, req),
+    expires_in: ACCESS_TOKEN_EXPIRES_IN
+  };
+}
+
+/**
+ * Menukar refresh token dengan pasangan token baru. Token lama langsung dicabut;
+ * jika token yang sudah dirotasi dipakai lagi, seluruh family dicabut karena
+ * kemungkinan token itu dicuri.
+ * @param {string} token - Refresh token asli.
+ * @param {object} loadUser - async (userId) => dokumen User.
+ * @param {object} [req]
+ * @returns {object} - { user, tokens } atau { error }
+ */
+async function rotateRefreshToken(token, loadUser, req) {
+  const stored = await RefreshToken.findOne({ token_hash: hashToken(token) });
+  if (!stored || stored.expires_at < new Date()) {
+    return { error: 'Refresh token tidak valid' };
+  }
+
+  if (stored.revoked_at) {
+    if (stored.replaced_by) {
+      await revokeFamily(stored.family);
+    }
+    return { error: 'Refresh token tidak valid' };
+  }
+
+  const user = await loadUser(stored.user);
+  if (!user) {
+    await revokeFamily(stored.family);
+    return { error: 'Refresh token tidak valid' };
+  }
+
+  const refreshToken = await createRefreshToken(user, stored.family, req);
+  stored.revoked_at = new Date();
+  stored.replaced_by = hashToken(refreshToken);
+  await stored.save();
+
+  return {
+    user,
+    tokens: {
+      token: signAccessToken(user),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_EXPIRES_IN
+    }
+  };
+}
+
+/**
+ * Mencabut satu refresh token (logout).
+ * @param {string} token
+ */
+async function revokeRefreshToken(token) {
+  await RefreshToken.updateOne(
+    { token_hash: hashToken(token), revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+}
+
+function revokeFamily(family) {
+  return RefreshToken.updateMany(
+    { family, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+}
+
+/**
+ * Mencabut semua refresh token milik user (logout dari semua perangkat).
+ * @param {string} userId
+ */
+function revokeAllRefreshTokens(userId) {
+  return RefreshToken.updateMany(
+    { user: userId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
@@ -0,0 +1,234 @@
+const Batch = require('../models/Batch');
+const Log = require('../models/Log');
+const MessageQueue = require('../models/MessageQueue');
+const { enqueueMessage } = require('./queue');
+const { recordMessageStatus } = require('./metrics');
+const { getRequiredVariables, renderTemplate, resolveTemplateMessage } = require('./template');
+const { parseCsv } = require('../utils/csv');
+const { generateId, normalizePhoneNumber } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'bulk' });
+
+const MAX_RECIPIENTS = parseInt(process.env.BULK_MAX_RECIPIENTS) || 1000;
+const SEND_INTERVAL_MS = parseInt(process.env.BULK_SEND_INTERVAL_MS) || 1000;
+// Pesan massal diproses setelah OTP yang sedang menunggu
+const BULK_PRIORITY = 1;
+
+/**
+ * Mengubah CSV menjadi daftar penerima. Baris pertama adalah header dan wajib
+ * punya kolom 'phone'; kolom lain menjadi variabel per penerima.
+ * @param {string} text
+ * @returns {object} - { recipients } atau { error }
+ */
+function parseRecipientsCsv(text) {
+  const [header, ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  if (!header) {
+    return { error: 'CSV is empty' };
+  }
+
+  const columns = header.map(column => column.trim());
+  const phoneIndex = columns.findIndex(column => column.toLowerCase() === 'phone');
+  if (phoneIndex === -1) {
+    return { error: "CSV header must contain a 'phone' column" };
+  }
+
+  const recipients = rows.map(fields => {
+    const variables = {};
+    columns.forEach((column, index) => {
+      if (index !== phoneIndex && column) variables[column] = (fields[index] || '').trim();
+    });
+    return { phone: (fields[phoneIndex] || '').trim(), variables };
+  });
+  return { recipients };
+}
+
+/**
+ * Menyusun teks untuk setiap penerima. Semua penerima harus valid sebelum
+ * batch dibuat, supaya tidak ada batch yang terkirim sebagian karena data salah.
+ * @returns {object} - { messages: [{ phone, country, text }], language } atau { errors }
+ */
+async function renderRecipients({ recipients, message, template, variables = {}, language }) {
+  const errors = [];
+  const messages = [];
+  let templateLanguage = null;
+
+  for (const [index, recipient] of recipients.entries()) {
+    const phone = recipient && typeof recipient.phone === 'string' ? recipient.phone : '';
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized.valid) {
+      errors.push({ index, phone, error: normalized.error_code });
+      continue;
+    }
+
+    const merged = { ...variables, ...(recipient.variables || {}) };
+    let text;
+    if (template) {
+      const resolved = await resolveTemplateMessage(template, merged, language);
+      if (!resolved.success) {
+        errors.push({ index, phone, error: resolved.error_code, missing: resolved.missing });
+        continue;
+      }
+      // Template OTP butuh kode per penerima; itu tugas send-otp
+      if (/\{\{\s*code\s*\}\}/.test(resolved.message)) {
+        return { errors: [{ index, phone, error: 'otp_template_not_supported' }] };
+      }
+      text = resolved.message;
+      templateLanguage = resolved.language;
+    } else {
+      const missing = getRequiredVariables(message).filter(key => merged[key] === undefined || merged[key] === '');
+      if (missing.length > 0) {
+        errors.push({ index, phone, error: 'missing_variables', missing });
+        continue;
+      }
+      text = renderTemplate(message, merged);
+    }
+
+    messages.push({ phone: normalized.phone, country: normalized.country, text });
+  }
+
+  return errors.length > 0 ? { errors } : { messages, language: templateLanguage };
+}
+
+/**
+ * Membuat batch beserta satu Log dan satu job antrian per penerima. Job diberi
+ * prioritas rendah dan jeda antar kirim (BULK_SEND_INTERVAL_MS).
+ * @param {object} input - { recipients, message, template, variables, language, session, name, requestId }
+ * @param {object} apiKey - ApiKey pengirim.
+ * @returns {object} - { success, batch } atau { success: false, error_code, errors }
+ */
+async function createBatch(input, apiKey) {
+  if (input.recipients.length > MAX_RECIPIENTS) {
+    return { success: false, error_code: 'too_many_recipients', max: MAX_RECIPIENTS };
+  }
+
+  const rendered = await renderRecipients(input);
+  if (rendered.errors) {
+    return { success: false, error_code: 'invalid_recipients', errors: rendered.errors };
+  }
+
+  const batch = await Batch.create({
+    id: generateId('BT'),
+    name: input.name || null,
+    session_id: input.session,
+    api_key_id: apiKey.id,
+    template: input.template ? input.template.toLowerCase() : null,
+    language: rendered.language,
+    total: rendered.messages.length,
+    pace_ms: SEND_INTERVAL_MS
+  });
+
+  for (const { phone, country, text } of rendered.messages) {
+    const log = await Log.create({
+      id: generateId(),
+      phone,
+      country,
+      message: text,
+      status: 'pending',
+      session_id: batch.session_id,
+      api_key_id: apiKey.id,
+      batch_id: batch.id,
+      request_id: input.requestId || null,
+      template: batch.template,
+      language: batch.language
+    });
+    await enqueueMessage(log, text, { priority: BULK_PRIORITY, paceMs: SEND_INTERVAL_MS });
+  }
+
+  logger.info('Batch queued', { batch_id: batch.id, total: batch.total });
+  return { success: true, batch };
+}
+
+/**
+ * Menghitung progres batch dari status Log-nya, dan menandai batch selesai
+ * begitu tidak ada lagi penerima yang pending.
+ * @param {object} batch - Dokumen Batch.
+ * @returns {object} - Jumlah per status.
+ */
+async function getBatchProgress(batch) {
+  const grouped = await Log.aggregate([
+    { $match: { batch_id: batch.id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const byStatus = Object.fromEntries(grouped.map(group => [group._id, group.count]));
+
+  const progress = {
+    total: batch.total,
+    pending: byStatus.pending || 0,
+    sent: Log.SENT_STATUSES.reduce((sum, status) => sum + (byStatus[status] || 0), 0),
+    delivered: (byStatus.delivered || 0) + (byStatus.read || 0),
+    read: byStatus.read || 0,
+    failed: byStatus.failed || 0,
+    cancelled: byStatus.cancelled || 0
+  };
+
+  if (batch.status === 'processing' && progress.pending === 0) {
+    batch.status = 'completed';
+    batch.completed_at = new Date();
+    batch.updated_at = new Date();
+    await batch.save();
+  }
+  return progress;
+}
+
+/**
+ * Membatalkan penerima yang belum dikirim. Pesan yang sedang dikirim tetap selesai.
+ * @param {string} batchId
+ * @returns {object} - { success, batch, cancelled } atau { success: false, error_code }
+ */
+async function cancelBatch(batchId) {
+  const batch = await Batch.findOne({ id: batchId });
+  if (!batch) {
+    return { success: false, error_code: 'batch_not_found' };
+  }
+  if (batch.status !== 'processing') {
+    return { success: false, error_code: 'batch_not_active' };
+  }
+
+  const pendingLogIds = await Log.distinct('id', { batch_id: batch.id, status: 'pending' });
+  const jobs = await MessageQueue.find({ log_id: { $in: pendingLogIds }, status: 'queued' }).select('_id log_id');
+
+  // Hapus satu per satu supaya job yang baru saja di-claim worker tidak ikut dibatalkan
+  const cancelledLogIds = [];
+  for (const job of jobs) {
+    if (await MessageQueue.findOneAndDelete({ _id: job._id, status: 'queued' })) {
+      cancelledLogIds.push(job.log_id);
+    }
+  }
+
+  const result = await Log.updateMany(
+    { id: { $in: cancelledLogIds }, status: 'pending' },
+    { $set: { status: 'cancelled', error_message: 'Batch cancelled', updated_at: new Date() } }
+  );
+  recordMessageStatus('cancelled', result.modifiedCount);
+
+  batch.status = 'cancelled';
+  batch.cancelled_at = new Date();
+  batch.updated_at = new Date();
+  await batch.save();
+
+  logger.info('Batch cancelled', { batch_id: batch.id, cancelled: cancelledLogIds.length });
+  return { success: true, batch, cancelled: cancelledLogIds.length };
+}
+
+function formatBatch(batch) {
+  return {
+    id: batch.id,
+    name: batch.name,
+    session: batch.session_id,
+    template: batch.template,
+    language: batch.language,
+    status: batch.status,
+    total: batch.total,
+    created_at: batch.created_at.toISOString(),
+    completed_at: batch.completed_at ? batch.completed_at.toISOString() : null,
+    cancelled_at: batch.cancelled_at ? batch.cancelled_at.toISOString() : null
+  };
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  parseRecipientsCsv,
+  createBatch,
+  getBatchProgress,
+  cancelBatch,
+  formatBatch
+};
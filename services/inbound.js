@@ -0,0 +1,81 @@
+const InboundMessage = require('../models/InboundMessage');
+const Log = require('../models/Log');
+const { emitToDashboard } = require('../config/socket');
+const { whatsappEvents } = require('./whatsapp');
+const { sendWebhook } = require('./webhook');
+const { generateId } = require('../utils/helpers');
+const logger = require('../utils/logger').child({ component: 'inbound' });
+
+/**
+ * Membentuk payload pesan masuk untuk Socket.IO, webhook dan dashboard.
+ * @param {object} inbound - Dokumen InboundMessage.
+ * @returns {object}
+ */
+function formatInboundMessage(inbound) {
+  return {
+    id: inbound.id,
+    session: inbound.session_id,
+    phone: inbound.phone,
+    push_name: inbound.push_name,
+    message_type: inbound.message_type,
+    text: inbound.text,
+    log_id: inbound.log_id,
+    received_at: inbound.received_at.toISOString()
+  };
+}
+
+/**
+ * Menyimpan pesan masuk, menautkannya ke Log keluar terakhir untuk nomor yang sama,
+ * lalu mengumumkannya lewat Socket.IO ('inbound-message') dan webhook ('message.received').
+ * @param {object} message - Event 'message-received' dari whatsappEvents.
+ * @returns {object|null} - Dokumen InboundMessage, atau null jika duplikat.
+ */
+async function handleInboundMessage({ sessionId, messageId, remoteJid, phone, pushName, messageType, text, timestamp }) {
+  const lastLog = await Log.findOne({ phone, created_at: { $lte: timestamp } })
+    .sort({ created_at: -1 })
+    .select('id');
+
+  let inbound;
+  try {
+    inbound = await InboundMessage.create({
+      id: generateId('IN'),
+      session_id: sessionId,
+      message_id: messageId,
+      remote_jid: remoteJid,
+      phone,
+      push_name: pushName,
+      message_type: messageType,
+      text,
+      log_id: lastLog ? lastLog.id : null,
+      received_at: timestamp
+    });
+  } catch (error) {
+    // Baileys bisa mengirim ulang pesan yang sama setelah reconnect
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  logger.info('Inbound message received', { id: inbound.id, session: sessionId });
+
+  const event = formatInboundMessage(inbound);
+  await emitToDashboard('inbound-message', event);
+  await sendWebhook('message.received', event);
+  return inbound;
+}
+
+/**
+ * Mulai mencatat pesan masuk dari semua sesi WhatsApp.
+ */
+function startInboundTracking() {
+  whatsappEvents.on('message-received', (message) => {
+    handleInboundMessage(message).catch(error => {
+      logger.error('Error saving inbound message', { err: error });
+    });
+  });
+}
+
+module.exports = {
+  formatInboundMessage,
+  handleInboundMessage,
+  startInboundTracking
+};
@@ -0,0 +1,125 @@
+const Log = require('../models/Log');
+const { maskPhoneNumber } = require('../utils/helpers');
+
+const toIso = value => (value ? value.toISOString() : null);
+
+// Kolom yang bisa diekspor; urutan di sini adalah urutan default
+const EXPORT_COLUMNS = {
+  id: log => log.id,
+  phone: log => log.phone,
+  country: log => log.country,
+  status: log => log.status,
+  message_type: log => log.message_type || 'text',
+  session: log => log.session_id,
+  api_key_id: log => log.api_key_id,
+  batch_id: log => log.batch_id,
+  request_id: log => log.request_id,
+  template: log => log.template,
+  language: log => log.language,
+  message: log => log.message,
+  error_message: log => log.error_message,
+  attempts: log => log.attempts,
+  scheduled_at: log => toIso(log.scheduled_at),
+  sent_at: log => toIso(log.sent_at),
+  delivered_at: log => toIso(log.delivered_at),
+  read_at: log => toIso(log.read_at),
+  created_at: log => toIso(log.created_at)
+};
+
+// Isi pesan tidak ikut secara default; minta lewat ?columns=...,message
+const DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(column => column !== 'message');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Field CSV dengan kutip bila perlu. Nilai yang diawali =, +, - atau @ diberi
+ * awalan ' supaya tidak dieksekusi sebagai formula saat dibuka di spreadsheet.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Mengubah daftar kolom dari query (dipisah koma) menjadi kolom yang valid.
+ * @param {string} [columns]
+ * @returns {object} - { columns } atau { error }
+ */
+function parseColumns(columns) {
+  if (!columns) return { columns: DEFAULT_COLUMNS };
+
+  const requested = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = requested.filter(column => !EXPORT_COLUMNS[column]);
+  if (requested.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ') || '(none)'}; available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+  return { columns: [...new Set(requested)] };
+}
+
+/**
+ * Menulis Log yang cocok dengan filter ke response sebagai CSV atau NDJSON,
+ * dibaca lewat cursor supaya rentang besar tidak dimuat ke memori sekaligus.
+ * @param {object} res - Response Express.
+ * @param {object} filter - Filter Log.
+ * @param {object} options - { format, columns, maskPhone }
+ * @returns {number} - Jumlah baris yang ditulis.
+ */
+async function streamLogs(res, filter, { format, columns, maskPhone }) {
+  const cursor = Log.find(filter).sort({ created_at: -1 }).lean().cursor();
+  let closed = false;
+  let resumeWrite = null;
+  res.on('close', () => {
+    closed = true;
+    cursor.close().catch(() => {});
+    if (resumeWrite) resumeWrite();
+  });
+
+  // Tunggu buffer kosong (backpressure), kecuali client sudah memutus koneksi.
+  // Listener drain dilepas sendiri supaya tidak menumpuk selama ekspor besar.
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) {
+      await new Promise((resolve) => {
+        resumeWrite = () => {
+          res.off('drain', resumeWrite);
+          resumeWrite = null;
+          resolve();
+        };
+        res.on('drain', resumeWrite);
+      });
+    }
+  };
+
+  if (format === 'csv') {
+    await write(columns.join(',') + '\r\n');
+  }
+
+  let count = 0;
+  for await (const log of cursor) {
+    if (closed) break;
+    if (maskPhone) log.phone = maskPhoneNumber(log.phone);
+
+    const row = {};
+    for (const column of columns) {
+      row[column] = EXPORT_COLUMNS[column](log);
+    }
+    await write(format === 'csv'
+      ? columns.map(column => toCsvField(row[column])).join(',') + '\r\n'
+      : JSON.stringify(row) + '\n');
+    count++;
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  FORMATS,
+  parseColumns,
+  streamLogs
+};
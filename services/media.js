@@ -0,0 +1,308 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
+
+// Batas ukuran media; dokumen MongoDB (job antrian) maksimal 16 MB
+const MEDIA_MAX_BYTES = (parseInt(process.env.MEDIA_MAX_MB) || 10) * 1024 * 1024;
+const MEDIA_DOWNLOAD_TIMEOUT_MS = 30000;
+const MEDIA_MAX_REDIRECTS = 3;
+
+// Alamat internal yang tidak boleh diakses lewat media_url (SSRF)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const MESSAGE_TYPES = ['text', 'image', 'document', 'audio', 'location'];
+const MEDIA_TYPES = ['image', 'document', 'audio'];
+
+// MIME yang diterima per jenis pesan
+const ALLOWED_MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp'],
+  document: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/csv',
+    'text/plain'
+  ],
+  audio: ['audio/mpeg', 'audio/ogg', 'audio/mp4', 'audio/aac', 'audio/amr']
+};
+
+const EXTENSION_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv',
+  txt: 'text/plain',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  amr: 'audio/amr'
+};
+
+function guessMimeType(fileName) {
+  const extension = String(fileName || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_MIME_TYPES[extension] || null;
+}
+
+function getUrlFileName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function normalizeMimeType(mimeType) {
+  return mimeType ? String(mimeType).split(';')[0].trim().toLowerCase() : null;
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) diperiksa sebagai IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup yang menolak alamat internal. Dipakai agent HTTP supaya pengecekan
+ * berlaku untuk alamat yang benar-benar disambungkan (termasuk DNS rebinding).
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`Address ${blocked.address} is not allowed`), { code: 'EMEDIABLOCKED' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Hanya http(s), dan host berupa IP literal (yang tidak lewat lookup) dicek langsung.
+ * @returns {string|null} - Pesan error jika URL tidak boleh diunduh.
+ */
+function getMediaUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'media_url is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'media_url must be an http(s) URL';
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return 'media_url points to a private or internal address';
+  }
+  return null;
+}
+
+/**
+ * Mengunduh media dari URL dengan batas MEDIA_MAX_BYTES. Redirect diikuti manual
+ * supaya setiap tujuan ikut divalidasi.
+ * @returns {object} - { data, mime_type } atau { error_code, error }
+ */
+async function downloadMediaUrl(url) {
+  let current = url;
+  for (let redirects = 0; ; redirects++) {
+    const urlError = getMediaUrlError(current);
+    if (urlError) {
+      return { error_code: 'media_url_not_allowed', error: urlError };
+    }
+
+    let response;
+    try {
+      response = await fetch(current, {
+        redirect: 'manual',
+        size: MEDIA_MAX_BYTES,
+        agent: parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent),
+        signal: AbortSignal.timeout(MEDIA_DOWNLOAD_TIMEOUT_MS)
+      });
+    } catch (error) {
+      if (error.code === 'EMEDIABLOCKED' || error.cause?.code === 'EMEDIABLOCKED') {
+        return { error_code: 'media_url_not_allowed', error: 'media_url points to a private or internal address' };
+      }
+      return { error_code: 'media_unreachable', error: `Media URL is not reachable: ${error.message}` };
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= MEDIA_MAX_REDIRECTS) {
+        return { error_code: 'media_unreachable', error: 'Media URL has too many redirects' };
+      }
+      current = new URL(location, current).href;
+      continue;
+    }
+    if (!response.ok) {
+      return { error_code: 'media_unreachable', error: `Media URL returned HTTP ${response.status}` };
+    }
+
+    const tooLarge = { error_code: 'media_too_large', error: `Media exceeds the ${Math.round(MEDIA_MAX_BYTES / 1024 / 1024)} MB limit` };
+    if (parseInt(response.headers.get('content-length')) > MEDIA_MAX_BYTES) {
+      return tooLarge;
+    }
+    try {
+      // Opsi size membatasi body yang benar-benar diterima, bukan hanya header
+      const data = Buffer.from(await response.arrayBuffer());
+      return { data, mime_type: normalizeMimeType(response.headers.get('content-type')) };
+    } catch (error) {
+      if (error.type === 'max-size') return tooLarge;
+      return { error_code: 'media_unreachable', error: `Failed to download media: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Menyiapkan media dari file multipart, base64 atau URL dan memvalidasi MIME serta ukurannya.
+ * @param {string} type - 'image', 'document' atau 'audio'.
+ * @param {object} input - { file, media_url, media_base64, mime_type, file_name }
+ * @returns {object} - { success, media, data } atau { success: false, error_code, error }
+ */
+async function resolveMedia(type, { file, media_url, media_base64, mime_type, file_name }) {
+  let data = null;
+  let url = null;
+  let mimeType = normalizeMimeType(mime_type);
+  let fileName = file_name || null;
+  let size = null;
+
+  if (file) {
+    data = file.buffer;
+    mimeType = mimeType || normalizeMimeType(file.mimetype);
+    fileName = fileName || file.originalname || null;
+    size = file.size;
+  } else if (media_base64) {
+    // Terima juga data URL: data:<mime>;base64,<data>
+    const dataUrl = /^data:([^;,]+);base64,/.exec(media_base64);
+    data = Buffer.from(dataUrl ? media_base64.slice(dataUrl[0].length) : media_base64, 'base64');
+    mimeType = mimeType || (dataUrl ? normalizeMimeType(dataUrl[1]) : null);
+    size = data.length;
+    if (size === 0) {
+      return { success: false, error_code: 'invalid_media', error: 'media_base64 is empty or not valid base64' };
+    }
+  } else {
+    // Diunduh sekarang supaya batas ukuran berlaku dan Baileys tidak mengakses URL sendiri
+    url = media_url;
+    const downloaded = await downloadMediaUrl(url);
+    if (downloaded.error) {
+      return { success: false, error_code: downloaded.error_code, error: downloaded.error };
+    }
+    data = downloaded.data;
+    // application/octet-stream tidak informatif; pakai mime_type atau ekstensi
+    if (downloaded.mime_type && downloaded.mime_type !== 'application/octet-stream') {
+      mimeType = mimeType || downloaded.mime_type;
+    }
+    size = data.length;
+    fileName = fileName || getUrlFileName(url);
+  }
+
+  mimeType = mimeType || guessMimeType(fileName || url);
+  if (!mimeType || !ALLOWED_MIME_TYPES[type].includes(mimeType)) {
+    return {
+      success: false,
+      error_code: 'unsupported_media_type',
+      error: `Unsupported ${type} type${mimeType ? ` '${mimeType}'` : ''}; allowed: ${ALLOWED_MIME_TYPES[type].join(', ')}`
+    };
+  }
+
+  if (size > MEDIA_MAX_BYTES) {
+    return {
+      success: false,
+      error_code: 'media_too_large',
+      error: `Media exceeds the ${Math.round(MEDIA_MAX_BYTES / 1024 / 1024)} MB limit`
+    };
+  }
+
+  return {
+    success: true,
+    media: { mime_type: mimeType, file_name: fileName, size, url },
+    data
+  };
+}
+
+/**
+ * Ringkasan pesan untuk kolom Log.message (media tidak punya teks).
+ * @param {object} content - { type, text, caption, media, location }
+ * @returns {string}
+ */
+function describeMessage(content) {
+  switch (content.type) {
+    case 'text':
+      return content.text;
+    case 'location': {
+      const { latitude, longitude, name } = content.location;
+      return `[location] ${latitude},${longitude}${name ? ` ${name}` : ''}`;
+    }
+    default:
+      return content.caption || `[${content.type}]${content.media.file_name ? ` ${content.media.file_name}` : ''}`;
+  }
+}
+
+/**
+ * Menyusun isi pesan Baileys dari konten yang tersimpan di job antrian.
+ * @param {object} content - { type, text, caption, media, location }
+ * @param {Buffer|null} data - Isi media dari upload, base64 atau hasil unduhan media_url.
+ * @returns {object} - AnyMessageContent untuk sock.sendMessage
+ */
+function buildMessageContent(content, data) {
+  const source = data ? Buffer.from(data) : null;
+
+  switch (content.type) {
+    case 'image':
+      return { image: source, mimetype: content.media.mime_type, caption: content.caption || undefined };
+    case 'document':
+      return {
+        document: source,
+        mimetype: content.media.mime_type,
+        fileName: content.media.file_name || 'document',
+        caption: content.caption || undefined
+      };
+    case 'audio':
+      return { audio: source, mimetype: content.media.mime_type, ptt: false };
+    case 'location':
+      return {
+        location: {
+          degreesLatitude: content.location.latitude,
+          degreesLongitude: content.location.longitude,
+          name: content.location.name || undefined,
+          address: content.location.address || undefined
+        }
+      };
+    default:
+      return { text: content.text };
+  }
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  MESSAGE_TYPES,
+  MEDIA_TYPES,
+  ALLOWED_MIME_TYPES,
+  resolveMedia,
+  describeMessage,
+  buildMessageContent
+};
@@ -0,0 +1,87 @@
+const Log = require('../models/Log');
+const { emitToDashboard } = require('../config/socket');
+const { whatsappEvents } = require('./whatsapp');
+const { sendWebhook } = require('./webhook');
+const { recordMessageStatus } = require('./metrics');
+const logger = require('../utils/logger').child({ component: 'message-status' });
+
+// Urutan status pengiriman; status hanya boleh bergerak maju
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Membentuk payload status log untuk Socket.IO dan webhook.
+ * @param {object} log - Dokumen Log.
+ * @returns {object}
+ */
+function formatStatusEvent(log) {
+  return {
+    id: log.id,
+    phone: log.phone,
+    session: log.session_id,
+    status: log.status,
+    attempts: log.attempts,
+    timestamp: log.updated_at.toISOString(),
+    sent_at: log.sent_at ? log.sent_at.toISOString() : null,
+    delivered_at: log.delivered_at ? log.delivered_at.toISOString() : null,
+    read_at: log.read_at ? log.read_at.toISOString() : null,
+    error_message: log.error_message
+  };
+}
+
+/**
+ * Mengumumkan status terbaru sebuah log lewat Socket.IO ('message-status') dan webhook.
+ * @param {object} log - Dokumen Log.
+ */
+async function publishLogStatus(log) {
+  const event = formatStatusEvent(log);
+  recordMessageStatus(log.status);
+  await emitToDashboard('message-status', event);
+  await sendWebhook('message.status', event, { requestId: log.request_id });
+}
+
+/**
+ * Menerapkan receipt dari WhatsApp ke Log yang cocok dengan message key.
+ * Receipt yang datang terlambat (mis. 'delivered' setelah 'read') diabaikan.
+ * @param {object} update - { messageId, status, timestamp }
+ */
+async function handleMessageStatus({ messageId, status, timestamp }) {
+  const rank = STATUS_ORDER.indexOf(status);
+  if (rank < 1) return;
+
+  const set = { status, updated_at: new Date() };
+  set[`${status}_at`] = timestamp;
+
+  const log = await Log.findOneAndUpdate(
+    { 'message_key.id': messageId, status: { $in: STATUS_ORDER.slice(0, rank) } },
+    { $set: set },
+    { new: true }
+  );
+  if (!log) return;
+
+  // Receipt 'read' bisa datang tanpa 'delivered' sebelumnya
+  if (status === 'read' && !log.delivered_at) {
+    log.delivered_at = timestamp;
+    await log.save();
+  }
+
+  logger.info('Message status updated', { log_id: log.id, status, request_id: log.request_id || undefined });
+  await publishLogStatus(log);
+}
+
+/**
+ * Mulai mendengarkan receipt dari semua sesi WhatsApp.
+ */
+function startReceiptTracking() {
+  whatsappEvents.on('message-status', (update) => {
+    handleMessageStatus(update).catch(error => {
+      logger.error('Error updating message status', { err: error });
+    });
+  });
+}
+
+module.exports = {
+  formatStatusEvent,
+  publishLogStatus,
+  handleMessageStatus,
+  startReceiptTracking
+};
@@ -0,0 +1,136 @@
+const client = require('prom-client');
+const MessageQueue = require('../models/MessageQueue');
+
+const PREFIX = 'wa_gateway_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const messagesTotal = new client.Counter({
+  name: `${PREFIX}messages_total`,
+  help: 'Message status transitions (queued, scheduled, sent, delivered, read, failed, cancelled)',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const webhookDeliveriesTotal = new client.Counter({
+  name: `${PREFIX}webhook_deliveries_total`,
+  help: 'Webhook deliveries by final outcome (success or failed)',
+  labelNames: ['event', 'outcome'],
+  registers: [register]
+});
+
+const reconnectAttemptsTotal = new client.Counter({
+  name: `${PREFIX}whatsapp_reconnect_attempts_total`,
+  help: 'Automatic WhatsApp reconnect attempts',
+  labelNames: ['session'],
+  registers: [register]
+});
+
+const disconnectsTotal = new client.Counter({
+  name: `${PREFIX}whatsapp_disconnects_total`,
+  help: 'WhatsApp connection closures by disconnect reason',
+  labelNames: ['session', 'reason'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: `${PREFIX}whatsapp_connected`,
+  help: 'Whether a WhatsApp session is connected (1) or not (0)',
+  labelNames: ['session'],
+  registers: [register],
+  collect() {
+    // Di-require saat scrape karena services/whatsapp juga memakai modul ini
+    const { listSessions } = require('./whatsapp');
+    this.reset();
+    for (const session of listSessions()) {
+      this.set({ session: session.session_id }, session.connected ? 1 : 0);
+    }
+  }
+});
+
+new client.Gauge({
+  name: `${PREFIX}queue_depth`,
+  help: 'Jobs waiting in the message queue',
+  labelNames: ['status'],
+  registers: [register],
+  async collect() {
+    const counts = await MessageQueue.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    this.reset();
+    this.set({ status: 'queued' }, 0);
+    this.set({ status: 'processing' }, 0);
+    for (const { _id, count } of counts) {
+      this.set({ status: _id }, count);
+    }
+  }
+});
+
+const sendDuration = new client.Histogram({
+  name: `${PREFIX}send_duration_seconds`,
+  help: 'Time taken by WhatsApp to accept an outgoing message',
+  labelNames: ['outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+/**
+ * Mencatat perubahan status pesan.
+ * @param {string} status - Status Log yang baru.
+ * @param {number} [count=1]
+ */
+function recordMessageStatus(status, count = 1) {
+  if (count > 0) messagesTotal.inc({ status }, count);
+}
+
+function recordWebhookDelivery(event, outcome) {
+  webhookDeliveriesTotal.inc({ event, outcome });
+}
+
+function recordReconnectAttempt(sessionId) {
+  reconnectAttemptsTotal.inc({ session: sessionId });
+}
+
+function recordDisconnect(sessionId, reason) {
+  disconnectsTotal.inc({ session: sessionId, reason });
+}
+
+/**
+ * Memulai timer latency pengiriman.
+ * @returns {function(boolean): void} - Dipanggil dengan hasil pengiriman.
+ */
+function startSendTimer() {
+  const end = sendDuration.startTimer();
+  return success => end({ outcome: success ? 'success' : 'failed' });
+}
+
+/**
+ * Middleware pengukur latency HTTP. Label route memakai pola route Express
+ * (mis. /api/messages/:id), bukan URL mentah, supaya kardinalitas tetap kecil.
+ */
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const path = req.route ? [].concat(req.route.path).join('|') : null;
+    const route = path ? (path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${path}`) : 'unmatched';
+    end({ method: req.method, route, status_code: res.statusCode });
+  });
+  next();
+}
+
+module.exports = {
+  register,
+  recordMessageStatus,
+  recordWebhookDelivery,
+  recordReconnectAttempt,
+  recordDisconnect,
+  startSendTimer,
+  httpMetrics
+};
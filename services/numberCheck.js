@@ -0,0 +1,53 @@
+const NumberCheck = require('../models/NumberCheck');
+const Settings = require('../models/Settings');
+const { checkOnWhatsApp } = require('./whatsapp');
+
+/**
+ * Mengecek apakah nomor terdaftar di WhatsApp, memakai cache selama
+ * number_check_cache_seconds (settings; 0 mematikan cache).
+ * @param {string[]} phones - Nomor yang sudah diformat.
+ * @param {object} [options] - { session }
+ * @returns {object} - { success, results: [{ phone, exists, jid, cached, checked_at }] } atau { success: false, error }
+ */
+async function checkNumbers(phones, options = {}) {
+  const uniquePhones = [...new Set(phones)];
+  const settings = await Settings.current();
+  const cacheMs = settings.number_check_cache_seconds * 1000;
+
+  const cached = cacheMs > 0
+    ? await NumberCheck.find({ phone: { $in: uniquePhones }, expires_at: { $gt: new Date() } })
+    : [];
+  const byPhone = new Map(cached.map(entry => [entry.phone, {
+    phone: entry.phone,
+    exists: entry.exists,
+    jid: entry.jid,
+    cached: true,
+    checked_at: entry.checked_at.toISOString()
+  }]));
+
+  const missing = uniquePhones.filter(phone => !byPhone.has(phone));
+  if (missing.length > 0) {
+    const lookup = await checkOnWhatsApp(missing, options);
+    if (!lookup.success) {
+      return { success: false, error: lookup.error };
+    }
+
+    const now = new Date();
+    for (const result of lookup.results) {
+      byPhone.set(result.phone, { ...result, cached: false, checked_at: now.toISOString() });
+    }
+    if (cacheMs > 0) {
+      await NumberCheck.bulkWrite(lookup.results.map(result => ({
+        updateOne: {
+          filter: { phone: result.phone },
+          update: { $set: { exists: result.exists, jid: result.jid, checked_at: now, expires_at: new Date(now.getTime() + cacheMs) } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+  }
+
+  return { success: true, results: uniquePhones.map(phone => byPhone.get(phone)) };
+}
+
+module.exports = { checkNumbers };
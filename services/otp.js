@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const Log = require('../models/Log');
+const Settings = require('../models/Settings');
+
+const DEFAULT_OTP_MESSAGE = 'Kode OTP Anda adalah {{code}}. Berlaku selama {{expires_in}} menit. Jangan berikan kode ini kepada siapa pun.';
+
+/**
+ * Membuat kode OTP acak dari alphabet yang diberikan.
+ * @param {number} length - Panjang kode.
+ * @param {string} alphabet - Karakter yang boleh dipakai.
+ * @returns {string}
+ */
+function generateOtpCode(length = 6, alphabet = '0123456789') {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
+
+/**
+ * Kunci HMAC untuk hash OTP (OTP_SECRET, atau JWT_SECRET). Tanpa kunci, kode
+ * 6 digit bisa ditebak offline dari dump database, jadi lebih baik gagal.
+ * @returns {string}
+ */
+function getOtpSecret() {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET or JWT_SECRET must be set');
+  }
+  return secret;
+}
+
+/**
+ * Hash kode OTP. Id log dipakai sebagai salt supaya hash yang sama
+ * tidak muncul di dua log berbeda.
+ * @param {string} logId
+ * @param {string} code
+ * @returns {string}
+ */
+function hashOtp(logId, code) {
+  return crypto.createHmac('sha256', getOtpSecret()).update(`${logId}:${code}`).digest('hex');
+}
+
+function otpMatches(logId, code, expectedHash) {
+  const actual = Buffer.from(hashOtp(logId, String(code)), 'hex');
+  const expected = Buffer.from(expectedHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Mengisi placeholder {{code}} dan {{expires_in}} (dalam menit) pada teks pesan.
+ * @param {string} message - Teks pesan, default DEFAULT_OTP_MESSAGE.
+ * @param {string} code
+ * @param {number} ttlSeconds
+ * @returns {string}
+ */
+function renderOtpMessage(message, code, ttlSeconds) {
+  return (message || DEFAULT_OTP_MESSAGE)
+    .replace(/\{\{\s*code\s*\}\}/g, code)
+    .replace(/\{\{\s*expires_in\s*\}\}/g, String(Math.ceil(ttlSeconds / 60)));
+}
+
+/**
+ * Menyamarkan kode OTP di dalam teks pesan sebelum disimpan ke Log.
+ */
+function maskOtp(message, code) {
+  return message.split(code).join('*'.repeat(code.length));
+}
+
+/**
+ * Membuat kode untuk OTP terjadwal saat job-nya dikirim, supaya kode tidak pernah
+ * tersimpan di antrian. Hash, masa berlaku dan pesan tersamar di Log diperbarui;
+ * percobaan ulang membuat kode baru yang menggantikan kode sebelumnya.
+ * @param {string} logId
+ * @param {string} template - Teks pesan dengan placeholder {{code}}.
+ * @returns {Promise<string>} - Teks yang dikirim.
+ */
+async function issueScheduledOtp(logId, template) {
+  const settings = await Settings.current();
+  const code = generateOtpCode(settings.otp_length, settings.otp_alphabet);
+  const text = renderOtpMessage(template, code, settings.otp_ttl_seconds);
+  await Log.updateOne({ id: logId }, {
+    $set: {
+      message: maskOtp(text, code),
+      otp_hash: hashOtp(logId, code),
+      otp_expires_at: new Date(Date.now() + settings.otp_ttl_seconds * 1000),
+      updated_at: new Date()
+    }
+  });
+  return text;
+}
+
+/**
+ * Memverifikasi kode OTP terhadap log berdasarkan id log atau nomor telepon
+ * (OTP terbaru untuk nomor tersebut). Kode hanya bisa dipakai sekali.
+ * @param {object} params - { id, phone, code }
+ * @returns {object} - { valid: true, id } atau { valid: false, error_code, attempts_remaining? }
+ */
+async function verifyOtp({ id, phone, code }) {
+  const filter = { otp_hash: { $ne: null } };
+  if (id) {
+    filter.id = id;
+  } else {
+    filter.phone = phone;
+  }
+
+  const log = await Log.findOne(filter).sort({ created_at: -1 });
+  if (!log) {
+    return { valid: false, error_code: 'otp_not_found' };
+  }
+  if (log.otp_verified_at) {
+    return { valid: false, error_code: 'otp_already_used' };
+  }
+  if (log.otp_expires_at && log.otp_expires_at < new Date()) {
+    return { valid: false, error_code: 'otp_expired' };
+  }
+
+  const maxAttempts = log.otp_max_attempts || 5;
+
+  // Naikkan counter secara atomik supaya request paralel tidak bisa melewati batas
+  const claimed = await Log.findOneAndUpdate(
+    { _id: log._id, otp_verified_at: null, otp_attempts: { $lt: maxAttempts } },
+    { $inc: { otp_attempts: 1 }, $set: { updated_at: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    const current = await Log.findById(log._id);
+    return {
+      valid: false,
+      error_code: current?.otp_verified_at ? 'otp_already_used' : 'otp_max_attempts'
+    };
+  }
+
+  if (!otpMatches(claimed.id, code, claimed.otp_hash)) {
+    const remaining = Math.max(maxAttempts - claimed.otp_attempts, 0);
+    return {
+      valid: false,
+      error_code: remaining > 0 ? 'otp_invalid' : 'otp_max_attempts',
+      attempts_remaining: remaining
+    };
+  }
+
+  const used = await Log.findOneAndUpdate(
+    { _id: claimed._id, otp_verified_at: null },
+    { $set: { otp_verified_at: new Date(), updated_at: new Date() } }
+  );
+  if (!used) {
+    return { valid: false, error_code: 'otp_already_used' };
+  }
+
+  return { valid: true, id: claimed.id };
+}
+
+module.exports = {
+  DEFAULT_OTP_MESSAGE,
+  generateOtpCode,
+  getOtpSecret,
+  hashOtp,
+  otpMatches,
+  renderOtpMessage,
+  maskOtp,
+  issueScheduledOtp,
+  verifyOtp
+};
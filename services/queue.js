@@ -0,0 +1,268 @@
+const Log = require('../models/Log');
+const MessageQueue = require('../models/MessageQueue');
+const { sendMessage, listSessions, whatsappEvents } = require('./whatsapp');
+const { publishLogStatus } = require('./messageStatus');
+const { buildMessageContent } = require('./media');
+const { applyMessageRedaction } = require('./retention');
+const { issueScheduledOtp } = require('./otp');
+const { recordMessageStatus, startSendTimer } = require('./metrics');
+const { runWithContext } = require('../utils/logger');
+const logger = require('../utils/logger').child({ component: 'queue' });
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.QUEUE_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX_MS = parseInt(process.env.QUEUE_BACKOFF_MAX_MS) || 5 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000;
+const STALE_LOCK_MS = 2 * 60 * 1000;
+// Pesan terjadwal yang baru bisa dikirim lewat dari batas ini dianggap terlewat
+const SCHEDULE_GRACE_MS = (parseInt(process.env.SCHEDULE_GRACE_SECONDS) || 300) * 1000;
+
+let pollTimer = null;
+let draining = false;
+let drainRequested = false;
+
+/**
+ * Menghitung jeda retry dengan exponential backoff.
+ * @param {number} attempts - Jumlah percobaan yang sudah dilakukan.
+ * @returns {number} - Jeda dalam milidetik.
+ */
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+/**
+ * Memasukkan pesan ke antrian lalu memicu worker.
+ * @param {object} log - Dokumen Log milik pesan ini.
+ * @param {string} message - Teks yang benar-benar dikirim (Log bisa menyimpan versi tersamar).
+ * @param {object} [options] - { priority, paceMs } untuk pengiriman massal,
+ *   { sendAt, onMissed } untuk pesan terjadwal, { otp } jika message adalah template OTP
+ *   yang kodenya dibuat saat dikirim, { content, mediaData } untuk media/lokasi.
+ * @returns {object} - Job yang dibuat.
+ */
+async function enqueueMessage(log, message, options = {}) {
+  const job = await MessageQueue.create({
+    log_id: log.id,
+    phone: log.phone,
+    message,
+    otp: Boolean(options.otp),
+    content: options.content || null,
+    media_data: options.mediaData || null,
+    session_id: log.session_id,
+    request_id: log.request_id || null,
+    priority: options.priority || 0,
+    pace_ms: options.paceMs || 0,
+    scheduled_at: options.sendAt || null,
+    on_missed: options.onMissed || 'skip',
+    next_attempt_at: options.sendAt || new Date(),
+    max_attempts: MAX_ATTEMPTS
+  });
+  recordMessageStatus(options.sendAt ? 'scheduled' : 'queued');
+  setImmediate(drainQueue);
+  return job;
+}
+
+/**
+ * Mengirim satu job dan memperbarui Log sesuai hasilnya.
+ * @param {object} job - Job yang sudah di-claim (status 'processing').
+ */
+async function processJob(job) {
+  if (await handleMissedSchedule(job)) return;
+
+  let payload = job.message;
+  if (job.content) {
+    payload = buildMessageContent(job.content, job.media_data);
+  } else if (job.otp) {
+    payload = await issueScheduledOtp(job.log_id, job.message);
+  }
+  const endSendTimer = startSendTimer();
+  const result = await sendMessage(job.phone, payload, { session: job.session_id, requestId: job.request_id });
+  endSendTimer(result.success);
+  const attempts = job.attempts + 1;
+  const log = await Log.findOne({ id: job.log_id });
+
+  if (result.success || attempts >= job.max_attempts) {
+    await MessageQueue.deleteOne({ _id: job._id });
+    if (!log) return;
+
+    // Message key disimpan supaya receipt delivered/read bisa dicocokkan ke log ini
+    if (result.success) {
+      log.status = 'sent';
+      log.sent_at = new Date();
+      log.message_key = {
+        id: result.key?.id || null,
+        remote_jid: result.key?.remoteJid || null
+      };
+      log.error_message = null;
+    } else {
+      log.status = 'failed';
+      log.error_message = result.error;
+    }
+    log.attempts = attempts;
+    log.updated_at = new Date();
+    await applyMessageRedaction(log);
+    await log.save();
+
+    if (!result.success) {
+      logger.error('Message failed', { log_id: log.id, attempts, error: result.error });
+    }
+    await publishLogStatus(log);
+    return;
+  }
+
+  const delay = getBackoffDelay(attempts);
+  await MessageQueue.updateOne({ _id: job._id }, {
+    $set: {
+      status: 'queued',
+      attempts,
+      last_error: result.error,
+      next_attempt_at: new Date(Date.now() + delay),
+      locked_at: null,
+      updated_at: new Date()
+    }
+  });
+
+  if (log) {
+    log.attempts = attempts;
+    log.error_message = result.error;
+    log.updated_at = new Date();
+    await log.save();
+  }
+  logger.warn('Message send failed, retrying', { log_id: job.log_id, attempt: attempts, max_attempts: job.max_attempts, retry_in_ms: delay, error: result.error });
+}
+
+/**
+ * Menangani pesan terjadwal yang baru bisa dikirim jauh setelah send_at
+ * (WhatsApp terputus atau server mati). Log ditandai schedule_missed; dengan
+ * on_missed 'skip' pesan tidak dikirim dan Log menjadi 'failed'.
+ * @param {object} job
+ * @returns {boolean} - true jika job dilewati.
+ */
+async function handleMissedSchedule(job) {
+  if (!job.scheduled_at || job.attempts > 0) return false;
+  const lateMs = Date.now() - job.scheduled_at.getTime();
+  if (lateMs <= SCHEDULE_GRACE_MS) return false;
+
+  const log = await Log.findOne({ id: job.log_id });
+  if (job.on_missed === 'send') {
+    if (log) {
+      log.schedule_missed = true;
+      await log.save();
+    }
+    logger.warn('Scheduled message is late, sending anyway', { log_id: job.log_id, late_ms: lateMs });
+    return false;
+  }
+
+  await MessageQueue.deleteOne({ _id: job._id });
+  logger.warn('Scheduled message missed its send time, skipped', { log_id: job.log_id, late_ms: lateMs });
+  if (!log) return true;
+
+  log.status = 'failed';
+  log.schedule_missed = true;
+  log.error_message = 'Scheduled send time was missed (WhatsApp or the server was unavailable)';
+  log.updated_at = new Date();
+  await applyMessageRedaction(log);
+  await log.save();
+  await publishLogStatus(log);
+  return true;
+}
+
+/**
+ * Memproses semua job yang sudah jatuh tempo untuk sesi yang sedang terhubung.
+ * Job milik sesi yang terputus tetap di antrian tanpa menghabiskan jatah retry.
+ */
+async function drainQueue() {
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    do {
+      drainRequested = false;
+      const connectedSessions = listSessions()
+        .filter(session => session.connected)
+        .map(session => session.session_id);
+      if (connectedSessions.length === 0) break;
+
+      let job;
+      while ((job = await claimNextJob(connectedSessions))) {
+        // Log selama job diproses ikut membawa request id dari request asalnya
+        await runWithContext({ request_id: job.request_id || undefined, log_id: job.log_id }, () => processJob(job));
+        if (job.pace_ms) {
+          await new Promise(resolve => setTimeout(resolve, job.pace_ms));
+        }
+      }
+    } while (drainRequested);
+  } catch (error) {
+    logger.error('Error draining message queue', { err: error });
+  } finally {
+    draining = false;
+  }
+}
+
+function claimNextJob(sessionIds) {
+  return MessageQueue.findOneAndUpdate(
+    {
+      status: 'queued',
+      next_attempt_at: { $lte: new Date() },
+      session_id: { $in: sessionIds }
+    },
+    { $set: { status: 'processing', locked_at: new Date(), updated_at: new Date() } },
+    { sort: { priority: 1, next_attempt_at: 1 }, new: true }
+  );
+}
+
+/**
+ * Mengembalikan job yang tertahan di 'processing' (misalnya server mati saat mengirim).
+ */
+async function releaseStaleJobs() {
+  const result = await MessageQueue.updateMany(
+    { status: 'processing', locked_at: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'queued', locked_at: null, updated_at: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info('Released stale queue jobs', { count: result.modifiedCount });
+  }
+}
+
+/**
+ * Menjalankan worker antrian: polling berkala dan drain otomatis setiap kali
+ * sebuah sesi WhatsApp (kembali) terhubung.
+ */
+async function startQueueWorker() {
+  if (pollTimer) return;
+
+  await releaseStaleJobs();
+  whatsappEvents.on('connected', () => drainQueue());
+  pollTimer = setInterval(() => {
+    releaseStaleJobs()
+      .then(drainQueue)
+      .catch(error => logger.error('Queue worker error', { err: error }));
+  }, POLL_INTERVAL_MS);
+  logger.info('Message queue worker started');
+}
+
+function stopQueueWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Jumlah job yang masih menunggu di antrian.
+ * @returns {Promise<number>}
+ */
+function getQueueDepth() {
+  return MessageQueue.countDocuments();
+}
+
+module.exports = {
+  SCHEDULE_GRACE_MS,
+  enqueueMessage,
+  drainQueue,
+  startQueueWorker,
+  stopQueueWorker,
+  getQueueDepth
+};
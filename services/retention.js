@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const Log = require('../models/Log');
+const InboundMessage = require('../models/InboundMessage');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Settings = require('../models/Settings');
+const { getOtpSecret } = require('./otp');
+const logger = require('../utils/logger').child({ component: 'retention' });
+
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+const REDACTED_MESSAGE = '[redacted]';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer = null;
+
+/**
+ * Hash isi pesan dengan HMAC supaya teks pendek (mis. OTP) tidak bisa ditebak
+ * dari hash-nya, tapi pesan yang sama tetap bisa dicocokkan.
+ * @param {string} message
+ * @returns {string}
+ */
+function hashMessage(message) {
+  return 'hmac-sha256:' + crypto.createHmac('sha256', getOtpSecret()).update(message).digest('hex');
+}
+
+function redactedMessage(message, mode) {
+  return mode === 'hash' ? hashMessage(message) : REDACTED_MESSAGE;
+}
+
+/**
+ * Mengganti isi pesan pada Log yang sudah selesai diproses sesuai settings
+ * message_redaction. Dokumen diubah di tempat; pemanggil yang menyimpan.
+ * @param {object} log - Dokumen Log.
+ * @param {object} [settings]
+ * @returns {boolean} - true jika isi pesan diganti.
+ */
+async function applyMessageRedaction(log, settings) {
+  settings = settings || await Settings.current();
+  if (settings.message_redaction === 'none' || log.message_redacted_at) return false;
+
+  log.message = redactedMessage(log.message, settings.message_redaction);
+  log.message_redacted_at = new Date();
+  return true;
+}
+
+/**
+ * Menyamarkan Log yang selesai diproses di luar antrian (batal, data lama)
+ * dan belum tersamar.
+ * @param {object} settings
+ * @returns {number} - Jumlah log yang disamarkan.
+ */
+async function redactFinishedLogs(settings) {
+  if (settings.message_redaction === 'none') return 0;
+
+  const filter = { status: { $in: Log.FINAL_STATUSES }, message_redacted_at: null };
+  if (settings.message_redaction === 'redact') {
+    const result = await Log.updateMany(filter, { $set: { message: REDACTED_MESSAGE, message_redacted_at: new Date() } });
+    return result.modifiedCount;
+  }
+
+  let count = 0;
+  for await (const log of Log.find(filter).select('_id message').lean().cursor()) {
+    await Log.updateOne(
+      { _id: log._id, message_redacted_at: null },
+      { $set: { message: hashMessage(log.message), message_redacted_at: new Date() } }
+    );
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Menghapus log (dan pesan masuk serta riwayat webhook) yang lebih tua dari
+ * log_retention_days. Log yang masih pending/terjadwal tidak pernah dihapus.
+ * @param {object} settings
+ * @returns {object} - Jumlah dokumen yang dihapus per koleksi.
+ */
+async function purgeExpiredLogs(settings) {
+  if (!settings.log_retention_days) return null;
+
+  const cutoff = new Date(Date.now() - settings.log_retention_days * DAY_MS);
+  const statuses = settings.log_retention_statuses.length > 0 ? settings.log_retention_statuses : Log.FINAL_STATUSES;
+
+  const [logs, inbound, webhooks] = await Promise.all([
+    Log.deleteMany({ created_at: { $lt: cutoff }, status: { $in: statuses } }),
+    InboundMessage.deleteMany({ received_at: { $lt: cutoff } }),
+    WebhookDelivery.deleteMany({ created_at: { $lt: cutoff }, status: { $ne: 'pending' } })
+  ]);
+  return { logs: logs.deletedCount, inbound_messages: inbound.deletedCount, webhook_deliveries: webhooks.deletedCount };
+}
+
+/**
+ * Satu putaran retensi: samarkan isi pesan lalu hapus data yang kedaluwarsa.
+ */
+async function runRetention() {
+  const settings = await Settings.current();
+  const redacted = await redactFinishedLogs(settings);
+  const purged = await purgeExpiredLogs(settings);
+
+  if (redacted > 0) {
+    logger.info('Redacted log messages', { count: redacted });
+  }
+  if (purged && (purged.logs || purged.inbound_messages || purged.webhook_deliveries)) {
+    logger.info('Retention purge finished', purged);
+  }
+  return { redacted, purged };
+}
+
+/**
+ * Menjalankan retensi saat startup lalu setiap RETENTION_INTERVAL_MS.
+ */
+function startRetentionWorker() {
+  if (retentionTimer) return;
+
+  const run = () => runRetention().catch(error => logger.error('Retention error', { err: error }));
+  run();
+  retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+  logger.info('Log retention worker started');
+}
+
+function stopRetentionWorker() {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+}
+
+module.exports = {
+  applyMessageRedaction,
+  runRetention,
+  startRetentionWorker,
+  stopRetentionWorker
+};
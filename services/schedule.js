@@ -0,0 +1,78 @@
+const Log = require('../models/Log');
+const MessageQueue = require('../models/MessageQueue');
+const { publishLogStatus } = require('./messageStatus');
+
+function formatScheduledMessage(log) {
+  return {
+    id: log.id,
+    phone: log.phone,
+    session: log.session_id,
+    status: log.status,
+    template: log.template,
+    send_at: log.scheduled_at ? log.scheduled_at.toISOString() : null,
+    timezone: log.timezone,
+    expires_at: log.otp_expires_at ? log.otp_expires_at.toISOString() : null,
+    created_at: log.created_at.toISOString()
+  };
+}
+
+/**
+ * Memindahkan waktu kirim pesan yang masih terjadwal. Masa berlaku OTP ikut bergeser.
+ * @param {string} logId
+ * @param {object} schedule - { sendAt, timezone, onMissed }
+ * @returns {object} - { success, log } atau { success: false, error_code }
+ */
+async function rescheduleMessage(logId, { sendAt, timezone, onMissed }) {
+  const log = await Log.findOne({ id: logId, status: 'scheduled' });
+  if (!log) {
+    return { success: false, error_code: 'scheduled_not_found' };
+  }
+
+  const set = { scheduled_at: sendAt, next_attempt_at: sendAt, updated_at: new Date() };
+  if (onMissed) set.on_missed = onMissed;
+  const job = await MessageQueue.findOneAndUpdate({ log_id: log.id, status: 'queued' }, { $set: set });
+  if (!job) {
+    return { success: false, error_code: 'already_dispatched' };
+  }
+
+  if (log.otp_expires_at && log.scheduled_at) {
+    log.otp_expires_at = new Date(log.otp_expires_at.getTime() + (sendAt.getTime() - log.scheduled_at.getTime()));
+  }
+  log.scheduled_at = sendAt;
+  log.timezone = timezone;
+  log.updated_at = new Date();
+  await log.save();
+
+  return { success: true, log };
+}
+
+/**
+ * Membatalkan pesan terjadwal yang belum diambil worker antrian.
+ * @param {string} logId
+ * @returns {object} - { success, log } atau { success: false, error_code }
+ */
+async function cancelScheduledMessage(logId) {
+  const log = await Log.findOne({ id: logId, status: 'scheduled' });
+  if (!log) {
+    return { success: false, error_code: 'scheduled_not_found' };
+  }
+
+  const job = await MessageQueue.findOneAndDelete({ log_id: log.id, status: 'queued' });
+  if (!job) {
+    return { success: false, error_code: 'already_dispatched' };
+  }
+
+  log.status = 'cancelled';
+  log.error_message = 'Scheduled message cancelled';
+  log.updated_at = new Date();
+  await log.save();
+  await publishLogStatus(log);
+
+  return { success: true, log };
+}
+
+module.exports = {
+  formatScheduledMessage,
+  rescheduleMessage,
+  cancelScheduledMessage
+};
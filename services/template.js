@@ -0,0 +1,104 @@
+const Template = require('../models/Template');
+
+// Variabel yang diisi oleh gateway sendiri saat kode OTP dibuat
+const AUTO_VARIABLES = ['code', 'expires_in'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Mengambil daftar nama placeholder unik pada body template.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function extractPlaceholders(body) {
+  const names = new Set();
+  for (const match of body.matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+/**
+ * Variabel yang wajib dikirim pemanggil (semua placeholder kecuali AUTO_VARIABLES).
+ * @param {string} body
+ * @returns {string[]}
+ */
+function getRequiredVariables(body) {
+  return extractPlaceholders(body).filter(name => !AUTO_VARIABLES.includes(name));
+}
+
+/**
+ * Mengisi placeholder dengan nilai dari variables. Placeholder yang tidak ada
+ * di variables (mis. {{code}}) dibiarkan apa adanya.
+ * @param {string} body
+ * @param {object} variables
+ * @returns {string}
+ */
+function renderTemplate(body, variables = {}) {
+  return body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (AUTO_VARIABLES.includes(name) || variables[name] === undefined || variables[name] === null) {
+      return placeholder;
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Memilih varian bahasa: cocok persis, lalu bahasa dasar ('en-us' -> 'en'),
+ * lalu default_language template, lalu varian pertama.
+ * @param {object} template
+ * @param {string} [language]
+ * @returns {object|undefined}
+ */
+function selectVariant(template, language) {
+  const variants = template.variants || [];
+  const wanted = (language || '').toLowerCase();
+  const base = wanted.split('-')[0];
+
+  return variants.find(variant => variant.language === wanted)
+    || variants.find(variant => variant.language === base)
+    || variants.find(variant => variant.language === template.default_language)
+    || variants[0];
+}
+
+/**
+ * Menyusun teks pesan dari template. Hasilnya masih bisa berisi {{code}} dan
+ * {{expires_in}} yang diisi saat kode OTP dibuat.
+ * @param {string} name - Nama template.
+ * @param {object} variables
+ * @param {string} [language]
+ * @returns {object} - { success: true, message, language } atau { success: false, error_code, missing? }
+ */
+async function resolveTemplateMessage(name, variables = {}, language) {
+  const template = await Template.findOne({ name: String(name).toLowerCase() });
+  if (!template) {
+    return { success: false, error_code: 'template_not_found' };
+  }
+
+  const variant = selectVariant(template, language);
+  if (!variant) {
+    return { success: false, error_code: 'template_empty' };
+  }
+
+  const missing = getRequiredVariables(variant.body).filter(
+    key => variables[key] === undefined || variables[key] === null || variables[key] === ''
+  );
+  if (missing.length > 0) {
+    return { success: false, error_code: 'missing_variables', missing };
+  }
+
+  return {
+    success: true,
+    message: renderTemplate(variant.body, variables),
+    language: variant.language
+  };
+}
+
+module.exports = {
+  AUTO_VARIABLES,
+  extractPlaceholders,
+  getRequiredVariables,
+  renderTemplate,
+  selectVariant,
+  resolveTemplateMessage
+};
@@ -1,24 +1,201 @@
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateId, generateWebhookSecret } = require('../utils/helpers');
+const { recordWebhookDelivery } = require('./metrics');
+const { getRequestId } = require('../utils/logger');
+const logger = require('../utils/logger').child({ component: 'webhook' });
+
 const fetch = (...args) => import('node-fetch').then(mod => mod.default(...args));
 
-async function sendWebhook(webhookUrl, data) {
-  if (!webhookUrl) return;
-  
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 2000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RESPONSE_SNIPPET_LENGTH = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Membuat signature HMAC-SHA256 atas "<timestamp>.<body>".
+ * Penerima menghitung ulang dengan webhook secret yang sama lalu membandingkan
+ * dengan header X-Webhook-Signature (format "sha256=<hex>").
+ * @param {string} secret
+ * @param {number} timestamp - Unix timestamp (detik), juga dikirim di X-Webhook-Timestamp.
+ * @param {string} body - Body JSON persis seperti yang dikirim.
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Mengambil webhook secret dari settings, membuatnya jika belum ada.
+ * @param {object} settings - Dokumen Settings.
+ * @returns {string}
+ */
+async function ensureWebhookSecret(settings) {
+  if (!settings.webhook_secret) {
+    settings.webhook_secret = generateWebhookSecret();
+    if (!settings.isNew) {
+      await settings.save();
+    }
+  }
+  return settings.webhook_secret;
+}
+
+/**
+ * Satu kali percobaan POST ke webhook; hasilnya dicatat di delivery.
+ * @returns {boolean} - true jika penerima membalas 2xx.
+ */
+async function attemptDelivery(delivery, secret) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { attempt: delivery.attempts.length + 1, attempted_at: new Date() };
+
   try {
-    const response = await fetch(webhookUrl, {
+    const response = await fetch(delivery.url, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(data),
-      timeout: 10000 // 10 second timeout
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`,
+        ...(delivery.request_id ? { 'X-Request-Id': delivery.request_id } : {})
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
     });
-    
-    if (response.ok) {
-      console.log(`✅ Webhook sent successfully for ID ${data.id}`);
-    } else {
-      console.error(`❌ Webhook failed with status ${response.status}`);
+    const text = await response.text().catch(() => '');
+
+    attempt.status_code = response.status;
+    attempt.latency_ms = Date.now() - startedAt;
+    attempt.response_snippet = text.slice(0, RESPONSE_SNIPPET_LENGTH);
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.latency_ms = Date.now() - startedAt;
+    attempt.error = error.name === 'TimeoutError' ? `Timeout after ${TIMEOUT_MS}ms` : error.message;
+  }
+
+  delivery.attempts.push(attempt);
+  delivery.updated_at = new Date();
+  await delivery.save();
+  return !attempt.error;
+}
+
+/**
+ * Mengirim delivery dengan retry (exponential backoff) sampai berhasil
+ * atau jatah percobaan habis.
+ * @param {object} delivery - Dokumen WebhookDelivery berstatus 'pending'.
+ */
+async function deliverWithRetry(delivery) {
+  const log = logger.child({ delivery_id: delivery.id, event: delivery.event, request_id: delivery.request_id || undefined });
+  const settings = await Settings.current();
+  const secret = await ensureWebhookSecret(settings);
+  const firstAttempt = delivery.attempts.length;
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    if (i > 0) {
+      await sleep(BACKOFF_BASE_MS * 2 ** (i - 1));
     }
+    if (await attemptDelivery(delivery, secret)) {
+      delivery.status = 'success';
+      await delivery.save();
+      recordWebhookDelivery(delivery.event, 'success');
+      log.info('Webhook delivered');
+      return delivery;
+    }
+  }
+
+  delivery.status = 'failed';
+  await delivery.save();
+  recordWebhookDelivery(delivery.event, 'failed');
+  log.error('Webhook delivery failed', { attempts: delivery.attempts.length - firstAttempt });
+  return delivery;
+}
+
+/**
+ * Mencatat dan mengirim event webhook ke URL di settings. Pengiriman (termasuk
+ * retry) berjalan di background supaya pemanggil tidak tertahan.
+ * @param {string} event - Nama event, mis. 'message.status'.
+ * @param {object} data - Isi event.
+ * @param {object} [options] - { requestId }; default request id dari konteks yang berjalan.
+ * @returns {object|null} - Dokumen WebhookDelivery, atau null jika webhook belum diatur.
+ */
+async function sendWebhook(event, data, options = {}) {
+  try {
+    const settings = await Settings.current();
+    if (!settings.webhook_url) return null;
+
+    const delivery = await WebhookDelivery.create({
+      id: generateId('WH'),
+      event,
+      url: settings.webhook_url,
+      payload: { event, ...data },
+      log_id: 'log_id' in data ? data.log_id : (data.id || null),
+      request_id: options.requestId || getRequestId()
+    });
+
+    deliverWithRetry(delivery).catch(error => {
+      logger.error('Webhook error', { delivery_id: delivery.id, err: error });
+    });
+    return delivery;
   } catch (error) {
-    console.error('❌ Webhook error:', error.message);
+    logger.error('Webhook error', { event, err: error });
+    return null;
+  }
+}
+
+/**
+ * Mengirim ulang delivery yang gagal ke URL webhook yang berlaku saat ini.
+ * @param {string} deliveryId
+ * @returns {object} - { success, delivery } atau { success: false, error }
+ */
+async function redeliverWebhook(deliveryId) {
+  const delivery = await WebhookDelivery.findOne({ id: deliveryId });
+  if (!delivery) {
+    return { success: false, error: 'Webhook delivery not found' };
+  }
+  if (delivery.status !== 'failed') {
+    return { success: false, error: 'Only failed deliveries can be redelivered' };
+  }
+
+  const settings = await Settings.current();
+  if (settings.webhook_url) {
+    delivery.url = settings.webhook_url;
+  }
+  delivery.status = 'pending';
+  delivery.updated_at = new Date();
+  await delivery.save();
+
+  deliverWithRetry(delivery).catch(error => {
+    logger.error('Webhook redelivery error', { delivery_id: delivery.id, err: error });
+  });
+  return { success: true, delivery };
+}
+
+/**
+ * Melanjutkan delivery yang masih 'pending' saat server sebelumnya berhenti.
+ */
+async function resumePendingDeliveries() {
+  const pending = await WebhookDelivery.find({ status: 'pending' });
+  for (const delivery of pending) {
+    deliverWithRetry(delivery).catch(error => {
+      logger.error('Webhook error', { delivery_id: delivery.id, err: error });
+    });
+  }
+  if (pending.length > 0) {
+    logger.info('Resuming pending webhook deliveries', { count: pending.length });
   }
 }
 
-module.exports = { sendWebhook };
+module.exports = {
+  signPayload,
+  ensureWebhookSecret,
+  sendWebhook,
+  redeliverWebhook,
+  resumePendingDeliveries
+};
@@ -1,78 +1,157 @@
-const { makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { makeWASocket, DisconnectReason, proto } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
-const fs = require('fs');
 const path = require('path');
-
-let sock;
-let qrCodeData = null;
-let isConnected = false;
-let phoneNumber = null;
-let isInitializing = false;
-let isInitialized = false; // Track if service has been initialized
-let io; // Socket.IO instance
-let reconnectAttempts = 0;
+const { EventEmitter } = require('events');
+const { isValidSessionId } = require('../utils/helpers');
+const { useMongoAuthState, clearAuthState, hasAuthState, migrateAuthFolder } = require('./authState');
+const { recordReconnectAttempt, recordDisconnect } = require('./metrics');
+const { emitToDashboard } = require('../config/socket');
+const logger = require('../utils/logger').child({ component: 'whatsapp' });
+
+const DEFAULT_SESSION = 'default';
 const MAX_RECONNECT_ATTEMPTS = 5;
+const PAIRING_CODE_TTL_MS = (parseInt(process.env.PAIRING_CODE_TTL_SECONDS) || 120) * 1000;
+const PAIRING_READY_TIMEOUT_MS = 30000;
+
+const sessions = new Map(); // sessionId -> state koneksi per nomor pengirim
+
+// Event internal untuk service lain: 'connected' (sessionId) dipakai antrian pesan,
+// 'qr' (sessionId) menandakan socket siap untuk login (QR atau pairing code),
+// 'message-status' ({ sessionId, messageId, status, timestamp }) dipakai pelacakan receipt,
+// 'message-received' ({ sessionId, messageId, phone, text, ... }) dipakai pencatatan pesan masuk
+const whatsappEvents = new EventEmitter();
 
 /**
- * Emits the current WhatsApp connection status via Socket.IO.
+ * Membuat state awal untuk satu sesi WhatsApp.
+ * @param {string} id - ID sesi.
+ * @returns {object}
  */
-function emitWhatsAppStatus() {
-    if (io) {
-        io.emit('whatsapp-status', {
-            whatsapp_connected: isConnected,
-            phone_number: phoneNumber ? `+${phoneNumber}` : null,
-            qr_available: !!qrCodeData,
-            qrcode: qrCodeData,
-            reconnect_attempts: reconnectAttempts,
-            initialized: isInitialized
-        });
+function createSessionState(id) {
+    return {
+        id,
+        sock: null,
+        qrCodeData: null,
+        isConnected: false,
+        phoneNumber: null,
+        isInitializing: false,
+        isInitialized: false, // Track if session has been initialized
+        reconnectAttempts: 0,
+        lastDeviceInfo: null,
+        // Login dengan pairing code (alternatif scan QR)
+        pairingPhone: null,
+        pairingCode: null,
+        pairingCodeExpiresAt: null,
+        pairingPending: false // requestPairingCode sedang meminta kode
+    };
+}
+
+/**
+ * Mengambil state sesi, membuatnya jika belum ada.
+ * @param {string} sessionId
+ * @returns {object}
+ */
+function getSession(sessionId = DEFAULT_SESSION) {
+    if (!sessions.has(sessionId)) {
+        sessions.set(sessionId, createSessionState(sessionId));
+    }
+    return sessions.get(sessionId);
+}
+
+/**
+ * Folder auth lama (useMultiFileAuthState) per sesi. Hanya dipakai untuk
+ * migrasi satu kali ke MongoDB supaya nomor yang sudah terhubung tidak perlu scan ulang.
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function getLegacyAuthPath(sessionId) {
+    if (sessionId === DEFAULT_SESSION) {
+        return path.resolve(__dirname, '../auth_info');
     }
+    return path.resolve(__dirname, '../sessions', sessionId);
+}
+
+/**
+ * Emits the current WhatsApp connection status of a session via Socket.IO.
+ * QR dan pairing code hanya dikirim ke admin, sama seperti route /qrcode.
+ * @param {object} session - State sesi.
+ */
+function emitWhatsAppStatus(session) {
+    const status = {
+        session_id: session.id,
+        whatsapp_connected: session.isConnected,
+        phone_number: session.phoneNumber ? `+${session.phoneNumber}` : null,
+        qr_available: !!session.qrCodeData,
+        reconnect_attempts: session.reconnectAttempts,
+        initialized: session.isInitialized
+    };
+    emitToDashboard('whatsapp-status', {
+        ...status,
+        qrcode: session.qrCodeData,
+        ...formatPairingStatus(session)
+    }, status).catch(error => logger.error('Error emitting WhatsApp status', { session: session.id, err: error }));
+}
+
+/**
+ * Status pairing code sebuah sesi; kode yang sudah kedaluwarsa tidak ditampilkan.
+ * @param {object} session - State sesi.
+ * @returns {object}
+ */
+function formatPairingStatus(session) {
+    const active = !!session.pairingCode && session.pairingCodeExpiresAt > new Date();
+    return {
+        pairing_code: active ? session.pairingCode : null,
+        pairing_code_expires_at: active ? session.pairingCodeExpiresAt.toISOString() : null,
+        pairing_phone: session.pairingPhone ? `+${session.pairingPhone}` : null
+    };
 }
 
 /**
- * Prepare WhatsApp service without initializing connection
- * @param {object} socketIo - The Socket.IO instance to emit status updates.
+ * Prepare WhatsApp service without initializing connection.
+ * Status dikirim lewat emitToDashboard (config/socket).
  */
-async function prepareWhatsApp(socketIo) {
-    io = socketIo;
-    console.log('📱 WhatsApp service prepared, waiting for initialization request');
+async function prepareWhatsApp() {
+    logger.info('WhatsApp service prepared, waiting for initialization request');
 }
 
 /**
- * Initializes the WhatsApp connection using Baileys.
+ * Initializes the WhatsApp connection of a session using Baileys.
  * This function is called when frontend requests initialization
+ * @param {string} sessionId - ID sesi, default 'default'.
  */
-async function initializeWhatsApp() {
+async function initializeWhatsApp(sessionId = DEFAULT_SESSION) {
+    const session = getSession(sessionId);
+
     // Prevent multiple simultaneous initializations
-    if (isInitializing) {
-        console.log('🔄 WhatsApp already initializing...');
+    if (session.isInitializing) {
+        logger.info('WhatsApp session already initializing', { session: session.id });
         return { success: false, message: 'Already initializing' };
     }
     
     // If already connected, return success
-    if (isConnected) {
+    if (session.isConnected) {
         return { success: true, message: 'Already connected' };
     }
     
-    isInitializing = true;
-    console.log('🔄 Initializing WhatsApp connection...');
+    session.isInitializing = true;
+    logger.info('Initializing WhatsApp connection', { session: session.id });
     
     try {
-        // Load or create authentication state
-        const { state, saveCreds } = await useMultiFileAuthState('./auth_info');
+        // Load or create authentication state (MongoDB), importing a legacy auth folder once
+        await migrateAuthFolder(session.id, getLegacyAuthPath(session.id));
+        const { state, saveCreds } = await useMongoAuthState(session.id);
         
         // Cleanup existing connection if it's still open
-        if (sock && sock.ws && sock.ws.readyState === sock.ws.OPEN) {
+        if (session.sock && session.sock.ws && session.sock.ws.readyState === session.sock.ws.OPEN) {
             try {
-                await sock.logout();
-                console.log('✅ Existing socket logged out.');
+                await session.sock.logout();
+                logger.info('Existing socket logged out', { session: session.id });
             } catch (error) {
-                console.log('⚠️ Error during logout of existing socket:', error.message);
+                logger.warn('Error during logout of existing socket', { session: session.id, err: error });
             }
         }
         
         // Create a new WhatsApp socket instance
-        sock = makeWASocket({
+        const sock = makeWASocket({
             auth: state,
             printQRInTerminal: false, // QR will be emitted via Socket.IO
             browser: [
@@ -90,102 +169,116 @@ async function initializeWhatsApp() {
             shouldSyncHistoryMessage: false, // Do not sync message history
             maxMsgRetryCount: 3          // Max retries for sending messages
         });
+        session.sock = sock;
         
         // Register event listeners for connection updates and credential saves
-        sock.ev.on('connection.update', handleConnectionUpdate);
+        sock.ev.on('connection.update', (update) => handleConnectionUpdate(session, update));
         sock.ev.on('creds.update', saveCreds);
+        sock.ev.on('messages.update', (updates) => handleMessagesUpdate(session, updates));
+        sock.ev.on('message-receipt.update', (receipts) => handleMessageReceipts(session, receipts));
+        sock.ev.on('messages.upsert', (upsert) => handleMessagesUpsert(session, upsert));
         
         // Handle general socket errors
         sock.ev.on('error', (error) => {
-            console.error('🚨 WhatsApp Socket Error:', error);
+            logger.error('WhatsApp socket error', { session: session.id, err: error });
         });
         
-        isInitialized = true;
+        session.isInitialized = true;
         return { success: true, message: 'WhatsApp initialization started' };
         
     } catch (error) {
         // Log detailed error information for debugging
-        console.error('❌ Error initializing WhatsApp:', error.message);
-        if (error.stack) {
-            console.error('Stack trace:', error.stack);
-        }
-        if (error.output && error.output.payload) { // For Boom errors from Baileys
-            console.error('Error payload:', error.output.payload);
-        }
+        logger.error('Error initializing WhatsApp', {
+            session: session.id,
+            err: error,
+            payload: error.output?.payload // For Boom errors from Baileys
+        });
         
-        resetConnectionState();
+        resetConnectionState(session);
         
         // Retry initialization after delay if max attempts not reached
-        if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-            reconnectAttempts++;
-            console.log(`🔄 Retrying initialization (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}) in 10 seconds...`);
+        if (session.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+            session.reconnectAttempts++;
+            logger.info('Retrying initialization in 10 seconds', { session: session.id, attempt: session.reconnectAttempts, max_attempts: MAX_RECONNECT_ATTEMPTS });
             setTimeout(() => {
-                initializeWhatsApp();
+                initializeWhatsApp(session.id);
             }, 10000);
         } else {
-            console.error('❌ Max reconnect attempts reached. Manual intervention required.');
-            reconnectAttempts = 0; // Reset for next manual attempt
+            logger.error('Max reconnect attempts reached, manual intervention required', { session: session.id });
+            session.reconnectAttempts = 0; // Reset for next manual attempt
         }
         
         return { success: false, error: error.message };
     } finally {
-        isInitializing = false;
+        session.isInitializing = false;
     }
 }
 
 /**
- * Handles updates to the WhatsApp connection status.
+ * Handles updates to the WhatsApp connection status of a session.
+ * @param {object} session - State sesi pemilik socket.
  * @param {object} update - The connection update object from Baileys.
  */
-async function handleConnectionUpdate(update) {
+async function handleConnectionUpdate(session, update) {
     const { connection, lastDisconnect, qr } = update;
 
     
     // If QR code is available, generate and emit it
     if (qr) {
-        qrCodeData = await QRCode.toDataURL(qr);
-        console.log('✅ QR Code generated');
-        emitWhatsAppStatus();
+        session.qrCodeData = await QRCode.toDataURL(qr);
+        logger.info('QR code generated', { session: session.id });
+        whatsappEvents.emit('qr', session.id);
+
+        // Mode pairing code: buat kode baru begitu kode lama kedaluwarsa atau socket diganti
+        if (session.pairingPhone && !session.pairingPending && !(session.pairingCodeExpiresAt > new Date())) {
+            await generatePairingCode(session).catch(error => {
+                logger.error('Error regenerating pairing code', { session: session.id, err: error });
+            });
+        }
+        emitWhatsAppStatus(session);
     }
     if (update?.node?.userAgent) {
-        lastDeviceInfo = update.node.userAgent;
-        console.log('ℹ️ Device info from update.node.userAgent:', lastDeviceInfo);
+        session.lastDeviceInfo = update.node.userAgent;
+        logger.debug('Device info from update.node.userAgent', { session: session.id, device: session.lastDeviceInfo });
     } else if (update?.userAgent) {
-        lastDeviceInfo = update.userAgent;
-        console.log('ℹ️ Device info from update.userAgent:', lastDeviceInfo);
+        session.lastDeviceInfo = update.userAgent;
+        logger.debug('Device info from update.userAgent', { session: session.id, device: session.lastDeviceInfo });
     }
     // Handle connection closure
     if (connection === 'close') {
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         const errorMessage = lastDisconnect?.error?.message || 'Unknown error';
         
-        console.log(`Connection closed: ${errorMessage} (Code: ${statusCode})`);
+        const reason = getDisconnectReasonName(statusCode);
+        logger.warn('Connection closed', { session: session.id, reason, status_code: statusCode, error: errorMessage });
+        recordDisconnect(session.id, reason);
         
-        resetConnectionState(); // Reset global connection state
+        expirePairingCode(session); // Kode lama tidak berlaku untuk socket berikutnya
+        resetConnectionState(session); // Reset session connection state
         
         
         // Determine action based on disconnect reason
         switch (statusCode) {
             case DisconnectReason.badSession:
             case DisconnectReason.loggedOut:
-                console.log('🔄 Session invalid or logged out, clearing auth and restarting...');
-                await clearAuthAndRestart(); // Clear session and restart immediately
+                logger.info('Session invalid or logged out, clearing auth and restarting', { session: session.id });
+                await clearAuthAndRestart(session); // Clear session and restart immediately
                 break;
                 
             case DisconnectReason.restartRequired:
-                console.log('🔄 Restart required, restarting connection...');
-                scheduleReconnect(1000); // Short delay for restart
+                logger.info('Restart required, restarting connection', { session: session.id });
+                scheduleReconnect(session, 1000); // Short delay for restart
                 break;
                 
             case 515: // Stream error - common after pairing
-                console.log('🔄 Stream error 515 (post-pairing)');
+                logger.info('Stream error 515 (post-pairing)', { session: session.id });
                 // If 515 error persists for multiple attempts, clear session and restart
-                if (reconnectAttempts >= Math.floor(MAX_RECONNECT_ATTEMPTS / 2)) { 
-                    console.log('⚠️ Too many 515 errors, clearing auth and restarting...');
-                    await clearAuthAndRestart();
+                if (session.reconnectAttempts >= Math.floor(MAX_RECONNECT_ATTEMPTS / 2)) { 
+                    logger.warn('Too many 515 errors, clearing auth and restarting', { session: session.id });
+                    await clearAuthAndRestart(session);
                 } else {
-                    console.log('🔄 Attempting reconnect...');
-                    scheduleReconnect(3000); // Regular reconnect delay for 515
+                    logger.info('Attempting reconnect', { session: session.id });
+                    scheduleReconnect(session, 3000); // Regular reconnect delay for 515
                 }
                 break;
                 
@@ -194,32 +287,33 @@ async function handleConnectionUpdate(update) {
             case DisconnectReason.connectionReplaced:
             case DisconnectReason.timedOut:
             default:
-                console.log(`🔄 Disconnect reason: ${errorMessage} (${statusCode}), attempting reconnect...`);
-                scheduleReconnect(5000); // Default reconnect delay
+                logger.info('Attempting reconnect', { session: session.id, reason });
+                scheduleReconnect(session, 5000); // Default reconnect delay
                 break;
         }
     } else if (connection === 'open') {
         // Handle successful connection
-
-
-        console.log('🎉 WhatsApp connected successfully');
-        isConnected = true;
-        phoneNumber = sock.user?.id?.split(':')[0] || null;
-        qrCodeData = null; // Clear QR data once connected
-        reconnectAttempts = 0; // Reset reconnect counter on successful connection
-        emitWhatsAppStatus();
-
-        // --- BLOK KODE YANG HARUS KAMU GANTI / PERBAIKI ---
-        // Kita akan tambahkan penundaan untuk memberi waktu data sock.user terisi.
+        const sock = session.sock;
+
+        logger.info('WhatsApp connected', { session: session.id });
+        session.isConnected = true;
+        session.phoneNumber = sock?.user?.id?.split(':')[0] || null;
+        session.qrCodeData = null; // Clear QR data once connected
+        clearPairingState(session);
+        session.reconnectAttempts = 0; // Reset reconnect counter on successful connection
+        emitWhatsAppStatus(session);
+        whatsappEvents.emit('connected', session.id); // Lanjutkan antrian pesan yang tertunda
+
+        // Beri waktu sebentar supaya data sock.user terisi sebelum membaca device info.
         setTimeout(() => {
             if (sock && sock.user) {
                 if (sock.user.userAgent) {
-                    lastDeviceInfo = sock.user.userAgent;
-                    console.log('✅ Device info retrieved from sock.user.userAgent (after delay):', lastDeviceInfo);
+                    session.lastDeviceInfo = sock.user.userAgent;
+                    logger.debug('Device info retrieved from sock.user.userAgent', { session: session.id, device: session.lastDeviceInfo });
                 } else if (sock.user.browser) {
                     // Fallback jika userAgent tidak ada di sock.user.userAgent,
                     // tapi ada di sock.user.browser (struktur array)
-                    lastDeviceInfo = {
+                    session.lastDeviceInfo = {
                         platform: sock.user.browser[0] || 'Unknown',
                         browser: sock.user.browser[1] || 'Unknown',
                         appVersion: {
@@ -229,255 +323,486 @@ async function handleConnectionUpdate(update) {
                         },
                         device: 'Desktop', // Ini bisa disesuaikan atau diambil dari sock.user.platform/device jika ada
                     };
-                    console.log('ℹ️ Device info fallback from sock.user.browser (after delay):', lastDeviceInfo);
+                    logger.debug('Device info fallback from sock.user.browser', { session: session.id, device: session.lastDeviceInfo });
                 } else {
-                    console.warn('⚠️ User agent (device info) still not found in sock.user after delay. lastDeviceInfo remains null or incomplete.');
-                    lastDeviceInfo = null;
+                    logger.warn('Device info not found in sock.user after delay', { session: session.id });
+                    session.lastDeviceInfo = null;
                 }
             } else {
-                console.warn('⚠️ sock or sock.user is null/undefined after delay. Cannot retrieve device info.');
-                lastDeviceInfo = null;
+                logger.warn('sock.user unavailable after delay, cannot retrieve device info', { session: session.id });
+                session.lastDeviceInfo = null;
             }
+        }, 500); // Tunda selama 500 milidetik (setengah detik)
 
-            // Opsional: Coba panggil getDeviceInfo() di sini untuk melihat hasilnya
-            // const currentDeviceInfo = getDeviceInfo();
-            // console.log('Current Device Info (after delay and setting lastDeviceInfo):', currentDeviceInfo);
 
-        }, 500); // Tunda selama 500 milidetik (setengah detik)
-        // --- AKHIR BLOK KODE YANG HARUS KAMU GANTI / PERBAIKI ---
+        // Optional: Check if creds were persisted after successful connection
+        hasAuthState(session.id).then((exists) => {
+            if (!exists) {
+                logger.warn('Auth creds not found in MongoDB after successful connection, check saveCreds', { session: session.id });
+            }
+        }).catch(err => logger.error('Failed to check auth state', { session: session.id, err }));
+    } else if (connection === 'connecting') {
+        logger.info('Connecting to WhatsApp', { session: session.id });
+    }
+}
+
+
+/**
+ * Mengubah status numerik pesan Baileys menjadi status Log.
+ * @param {number} status - proto.WebMessageInfo.Status
+ * @returns {string|null}
+ */
+function mapMessageStatus(status) {
+    const Status = proto.WebMessageInfo.Status;
+    switch (status) {
+        case Status.SERVER_ACK:
+            return 'sent';
+        case Status.DELIVERY_ACK:
+            return 'delivered';
+        case Status.READ:
+        case Status.PLAYED:
+            return 'read';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Meneruskan perubahan status pesan keluar (messages.update) ke whatsappEvents.
+ * @param {object} session - State sesi.
+ * @param {Array} updates - [{ key, update: { status } }]
+ */
+function handleMessagesUpdate(session, updates) {
+    for (const { key, update } of updates) {
+        const status = mapMessageStatus(update?.status);
+        if (!key?.fromMe || !key.id || !status) continue;
+
+        whatsappEvents.emit('message-status', {
+            sessionId: session.id,
+            messageId: key.id,
+            status,
+            timestamp: new Date()
+        });
+    }
+}
 
+/**
+ * Meneruskan receipt delivered/read (message-receipt.update) ke whatsappEvents.
+ * @param {object} session - State sesi.
+ * @param {Array} receipts - [{ key, receipt: { receiptTimestamp, readTimestamp, playedTimestamp } }]
+ */
+function handleMessageReceipts(session, receipts) {
+    for (const { key, receipt } of receipts) {
+        if (!key?.fromMe || !key.id || !receipt) continue;
+
+        const readTimestamp = receipt.readTimestamp || receipt.playedTimestamp;
+        const timestamp = readTimestamp || receipt.receiptTimestamp;
+        if (!timestamp) continue;
+
+        whatsappEvents.emit('message-status', {
+            sessionId: session.id,
+            messageId: key.id,
+            status: readTimestamp ? 'read' : 'delivered',
+            timestamp: new Date(Number(timestamp) * 1000)
+        });
+    }
+}
+
+// Pembungkus yang tidak membawa isi pesan sendiri
+const WRAPPER_MESSAGE_TYPES = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'documentWithCaptionMessage'];
+const IGNORED_MESSAGE_TYPES = ['messageContextInfo', 'senderKeyDistributionMessage'];
 
-        // Optional: Check if creds.json exists after successful connection
-        if (!fs.existsSync('./auth_info/creds.json')) {
-            console.warn('⚠️ creds.json not found after successful connection. This might indicate an issue with saveCreds or initial setup.');
+/**
+ * Mengambil jenis dan teks dari isi pesan Baileys.
+ * @param {object} message - proto.IMessage
+ * @returns {object} - { type, text }
+ */
+function extractMessageContent(message) {
+    let content = message || {};
+    for (const wrapper of WRAPPER_MESSAGE_TYPES) {
+        if (content[wrapper]?.message) {
+            content = content[wrapper].message;
         }
-    } else if (connection === 'connecting') {
-        console.log('🔄 Connecting to WhatsApp...');
+    }
+
+    const type = Object.keys(content).find(key => !IGNORED_MESSAGE_TYPES.includes(key)) || 'unknown';
+    const text = content.conversation
+        || content.extendedTextMessage?.text
+        || content[type]?.caption
+        || content.buttonsResponseMessage?.selectedDisplayText
+        || content.listResponseMessage?.title
+        || null;
+
+    return { type, text };
+}
+
+/**
+ * Meneruskan pesan masuk dari chat pribadi (messages.upsert) ke whatsappEvents.
+ * Pesan sendiri, grup, status broadcast dan sinkronisasi riwayat diabaikan.
+ * @param {object} session - State sesi.
+ * @param {object} upsert - { messages, type }
+ */
+function handleMessagesUpsert(session, { messages, type }) {
+    if (type !== 'notify') return;
+
+    for (const msg of messages) {
+        const remoteJid = msg.key?.remoteJid;
+        if (!msg.message || msg.key.fromMe || !remoteJid?.endsWith('@s.whatsapp.net')) continue;
+        if (msg.message.protocolMessage || msg.message.reactionMessage) continue;
+
+        const { type: messageType, text } = extractMessageContent(msg.message);
+        whatsappEvents.emit('message-received', {
+            sessionId: session.id,
+            messageId: msg.key.id,
+            remoteJid,
+            phone: remoteJid.split('@')[0].split(':')[0],
+            pushName: msg.pushName || null,
+            messageType,
+            text,
+            timestamp: msg.messageTimestamp ? new Date(Number(msg.messageTimestamp) * 1000) : new Date()
+        });
     }
 }
 
+/**
+ * Menunggu socket sesi siap login, ditandai event 'qr' pertama.
+ * @param {object} session - State sesi.
+ * @returns {Promise<void>}
+ */
+function waitForLoginReady(session) {
+    if (session.qrCodeData) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const onQr = (sessionId) => {
+            if (sessionId !== session.id) return;
+            clearTimeout(timer);
+            whatsappEvents.off('qr', onQr);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            whatsappEvents.off('qr', onQr);
+            reject(new Error('Timed out waiting for WhatsApp socket to be ready'));
+        }, PAIRING_READY_TIMEOUT_MS);
+        whatsappEvents.on('qr', onQr);
+    });
+}
+
+/**
+ * Meminta pairing code baru dari WhatsApp untuk nomor di session.pairingPhone.
+ * @param {object} session - State sesi dengan socket yang siap login.
+ */
+async function generatePairingCode(session) {
+    const code = await session.sock.requestPairingCode(session.pairingPhone);
+    session.pairingCode = code;
+    session.pairingCodeExpiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS);
+    logger.info('Pairing code generated', { session: session.id });
+}
+
+function clearPairingState(session) {
+    session.pairingPhone = null;
+    session.pairingCode = null;
+    session.pairingCodeExpiresAt = null;
+}
+
+function expirePairingCode(session) {
+    session.pairingCode = null;
+    session.pairingCodeExpiresAt = null;
+}
+
+/**
+ * Menautkan nomor WhatsApp dengan pairing code (alternatif scan QR). Sesi
+ * diinisialisasi jika belum; kode dibuat ulang otomatis setelah kedaluwarsa.
+ * Memanggil ulang fungsi ini juga membuat kode baru.
+ * @param {string} sessionId - ID sesi.
+ * @param {string} phone - Nomor yang akan ditautkan, format internasional tanpa '+'.
+ * @returns {object} - { success, pairing_code, expires_at } atau { success: false, error }
+ */
+async function requestPairingCode(sessionId, phone) {
+    const session = getSession(sessionId);
+    try {
+        if (session.isConnected) {
+            throw new Error('WhatsApp is already connected');
+        }
+        if (session.sock?.authState?.creds?.registered) {
+            throw new Error('Session is already registered. Disconnect it before linking a new number.');
+        }
+
+        session.pairingPhone = phone;
+        session.pairingPending = true;
+
+        if (!session.sock && !session.isInitializing) {
+            const result = await initializeWhatsApp(session.id);
+            if (!result.success) {
+                throw new Error(result.error || result.message || 'Failed to initialize WhatsApp');
+            }
+        }
+
+        await waitForLoginReady(session);
+        await generatePairingCode(session);
+        emitWhatsAppStatus(session);
+
+        return {
+            success: true,
+            pairing_code: session.pairingCode,
+            expires_at: session.pairingCodeExpiresAt.toISOString()
+        };
+    } catch (error) {
+        logger.error('Error requesting pairing code', { session: session.id, err: error });
+        return { success: false, error: error.message };
+    } finally {
+        session.pairingPending = false;
+    }
+}
 
 /**
- * Schedules a reconnect attempt after a specified delay.
+ * Schedules a reconnect attempt of a session after a specified delay.
  * Prevents continuous reconnect attempts if max attempts are reached.
+ * @param {object} session - State sesi.
  * @param {number} delay - The delay in milliseconds before attempting reconnect.
  */
-function scheduleReconnect(delay = 5000) {
-    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-        console.error('❌ Max reconnect attempts reached. Please check your connection or restart manually.');
-        reconnectAttempts = 0; // Reset for next manual attempt
+function scheduleReconnect(session, delay = 5000) {
+    if (session.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+        logger.error('Max reconnect attempts reached, check the connection or restart manually', { session: session.id });
+        session.reconnectAttempts = 0; // Reset for next manual attempt
         return;
     }
     
     setTimeout(() => {
         // Only attempt reconnect if not already initializing and not connected
-        if (!isInitializing && !isConnected) {
-            reconnectAttempts++;
-            console.log(`🔄 Reconnect attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}`);
-            initializeWhatsApp();
+        if (!session.isInitializing && !session.isConnected) {
+            session.reconnectAttempts++;
+            recordReconnectAttempt(session.id);
+            logger.info('Reconnect attempt', { session: session.id, attempt: session.reconnectAttempts, max_attempts: MAX_RECONNECT_ATTEMPTS });
+            initializeWhatsApp(session.id);
         }
     }, delay);
 }
 
 /**
- * Clears the authentication information and triggers a restart of the connection.
+ * Nama DisconnectReason untuk label metrics, mis. 401 -> 'loggedOut'.
+ * @param {number} [statusCode]
+ * @returns {string}
+ */
+function getDisconnectReasonName(statusCode) {
+    if (statusCode === undefined || statusCode === null) return 'unknown';
+    return DisconnectReason[statusCode] || String(statusCode);
+}
+
+/**
+ * Clears the authentication information of a session and triggers a restart of the connection.
+ * @param {object} session - State sesi.
  */
-async function clearAuthAndRestart() {
+async function clearAuthAndRestart(session) {
     try {
-        const authInfoPath = path.resolve(__dirname, '../auth_info');
-        if (fs.existsSync(authInfoPath)) {
-            await fs.promises.rm(authInfoPath, { recursive: true, force: true });
-            console.log('🗑️ Auth info cleared');
+        if (await clearAuthState(session.id)) {
+            logger.info('Auth info cleared', { session: session.id });
         }
-        scheduleReconnect(2000); // Attempt reconnect after clearing auth
+        scheduleReconnect(session, 2000); // Attempt reconnect after clearing auth
     } catch (error) {
-        console.error('❌ Error clearing auth:', error);
-        scheduleReconnect(5000); // Retry with longer delay on error
+        logger.error('Error clearing auth', { session: session.id, err: error });
+        scheduleReconnect(session, 5000); // Retry with longer delay on error
     }
 }
 
 /**
- * Resets the internal connection state variables.
+ * Resets the connection state variables of a session.
+ * @param {object} session - State sesi.
  */
-function resetConnectionState() {
-    isConnected = false;
-    phoneNumber = null;
-    qrCodeData = null;
-    emitWhatsAppStatus(); // Emit updated status
+function resetConnectionState(session) {
+    session.isConnected = false;
+    session.phoneNumber = null;
+    session.qrCodeData = null;
+    emitWhatsAppStatus(session); // Emit updated status
 }
 
 /**
- * Sends a text message to a specified phone number.
+ * Sends a message to a specified phone number.
  * @param {string} phone - The recipient's phone number (e.g., "628123456789").
- * @param {string} message - The text message to send.
- * @returns {object} - An object indicating success or failure.
+ * @param {string|object} message - Text, or Baileys message content (image, document, audio, location).
+ * @param {object} [options] - { session: ID sesi pengirim, default 'default'; requestId: untuk korelasi log }
+ * @returns {object} - An object indicating success or failure, with the message key on success.
  */
-async function sendMessage(phone, message) {
+async function sendMessage(phone, message, options = {}) {
+    const sessionId = options.session || DEFAULT_SESSION;
+    const log = options.requestId ? logger.child({ request_id: options.requestId }) : logger;
     try {
-        if (!isConnected || !sock) {
-            throw new Error('WhatsApp not connected');
+        const session = sessions.get(sessionId);
+        if (!session || !session.isConnected || !session.sock) {
+            throw new Error(sessionId === DEFAULT_SESSION
+                ? 'WhatsApp not connected'
+                : `WhatsApp session "${sessionId}" not connected`);
         }
         
         const jid = phone + '@s.whatsapp.net';
-        await sock.sendMessage(jid, { text: message });
-        return { success: true };
+        const content = typeof message === 'string' ? { text: message } : message;
+        const sent = await session.sock.sendMessage(jid, content);
+        return { success: true, key: sent?.key || null };
     } catch (error) {
-        console.error('❌ Error sending message:', error.message);
+        log.error('Error sending message', { session: sessionId, err: error });
         return { success: false, error: error.message };
     }
 }
 
 /**
- * Disconnects the WhatsApp session and clears authentication information.
+ * Checks which phone numbers are registered on WhatsApp (onWhatsApp lookup).
+ * @param {string[]} phones - Nomor tujuan (mis. "628123456789").
+ * @param {object} [options] - { session: ID sesi yang dipakai untuk lookup, default 'default' }
+ * @returns {object} - { success, results: [{ phone, exists, jid }] } atau { success: false, error }
  */
-async function disconnect() {
+async function checkOnWhatsApp(phones, options = {}) {
+    const sessionId = options.session || DEFAULT_SESSION;
     try {
-        reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent auto-reconnect
+        const session = sessions.get(sessionId);
+        if (!session || !session.isConnected || !session.sock) {
+            throw new Error(sessionId === DEFAULT_SESSION
+                ? 'WhatsApp not connected'
+                : `WhatsApp session "${sessionId}" not connected`);
+        }
+
+        const found = await session.sock.onWhatsApp(...phones.map(phone => phone + '@s.whatsapp.net')) || [];
+        // Nomor yang tidak terdaftar bisa tidak muncul sama sekali di hasil lookup
+        const results = phones.map((phone) => {
+            const match = found.find(result => result.jid && result.jid.split('@')[0] === phone);
+            return { phone, exists: !!match?.exists, jid: match?.exists ? match.jid : null };
+        });
+        return { success: true, results };
+    } catch (error) {
+        logger.error('Error checking numbers', { session: sessionId, err: error });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Disconnects a WhatsApp session and clears its authentication information.
+ * @param {string} sessionId - ID sesi, default 'default'.
+ */
+async function disconnect(sessionId = DEFAULT_SESSION) {
+    const session = getSession(sessionId);
+    try {
+        session.reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent auto-reconnect
         
-        if (sock && sock.ws && sock.ws.readyState === sock.ws.OPEN) {
-            await sock.logout();
-            console.log('✅ WhatsApp socket logged out.');
+        if (session.sock && session.sock.ws && session.sock.ws.readyState === session.sock.ws.OPEN) {
+            await session.sock.logout();
+            logger.info('WhatsApp socket logged out', { session: session.id });
         }
-        sock = null; // Clear socket instance
+        session.sock = null; // Clear socket instance
         
-        const authInfoPath = path.resolve(__dirname, '../auth_info');
-        if (fs.existsSync(authInfoPath)) {
-            await fs.promises.rm(authInfoPath, { recursive: true, force: true });
-            console.log('🗑️ Auth info cleared during disconnect.');
+        if (await clearAuthState(session.id)) {
+            logger.info('Auth info cleared during disconnect', { session: session.id });
         }
         
-        resetConnectionState();
-        isInitialized = false; // Reset initialization status
-        reconnectAttempts = 0; // Reset after successful disconnect
+        clearPairingState(session);
+        resetConnectionState(session);
+        session.isInitialized = false; // Reset initialization status
+        session.reconnectAttempts = 0; // Reset after successful disconnect
+        if (session.id !== DEFAULT_SESSION) {
+            sessions.delete(session.id);
+        }
         return { success: true };
     } catch (error) {
-        console.error('❌ Error disconnecting:', error.message);
+        logger.error('Error disconnecting', { session: sessionId, err: error });
         return { success: false, error: error.message };
     }
 }
 
 /**
- * Forces a refresh of the QR code by clearing the session and re-initializing.
+ * Forces a refresh of the QR code of a session by clearing it and re-initializing.
  * Only works if not already connected.
+ * @param {string} sessionId - ID sesi, default 'default'.
  */
-async function refreshQR() {
+async function refreshQR(sessionId = DEFAULT_SESSION) {
+    const session = getSession(sessionId);
     try {
-        if (isConnected) {
+        if (session.isConnected) {
             throw new Error('Already connected, cannot refresh QR.');
         }
         
-        reconnectAttempts = 0; // Reset counter for fresh QR attempt
+        session.reconnectAttempts = 0; // Reset counter for fresh QR attempt
+        clearPairingState(session); // QR baru menggantikan mode pairing code
         
-        const authInfoPath = path.resolve(__dirname, '../auth_info');
-        if (fs.existsSync(authInfoPath)) {
-            await fs.promises.rm(authInfoPath, { recursive: true, force: true });
-            console.log('🗑️ Auth info cleared for QR refresh.');
+        if (await clearAuthState(session.id)) {
+            logger.info('Auth info cleared for QR refresh', { session: session.id });
         }
         
-        await initializeWhatsApp();
+        await initializeWhatsApp(session.id);
         return { success: true };
     } catch (error) {
-        console.error('❌ Error refreshing QR:', error.message);
+        logger.error('Error refreshing QR', { session: sessionId, err: error });
         return { success: false, error: error.message };
     }
 }
 
 /**
- * Performs cleanup tasks, primarily logging out the socket.
+ * Performs cleanup tasks, primarily logging out the sockets of all sessions.
  */
 async function cleanup() {
-    try {
-        reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent reconnect during cleanup
-        if (sock && sock.ws && sock.ws.readyState === sock.ws.OPEN) {
-            await sock.logout();
-            console.log('✅ Socket logged out during cleanup.');
+    for (const session of sessions.values()) {
+        try {
+            session.reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent reconnect during cleanup
+            if (session.sock && session.sock.ws && session.sock.ws.readyState === session.sock.ws.OPEN) {
+                await session.sock.logout();
+                logger.info('Socket logged out during cleanup', { session: session.id });
+            }
+        } catch (error) {
+            logger.warn('Error during cleanup', { session: session.id, err: error });
         }
-    } catch (error) {
-        console.log('⚠️ Error during cleanup:', error.message);
     }
 }
 
 /**
- * Returns the current status of the WhatsApp connection.
+ * Returns the current status of a WhatsApp session.
+ * @param {string} sessionId - ID sesi, default 'default'.
  * @returns {object} - Object containing connection status details.
  */
-function getStatus() {
+function getStatus(sessionId = DEFAULT_SESSION) {
+    const session = sessions.get(sessionId) || createSessionState(sessionId);
     return {
-        connected: isConnected,
-        phone_number: phoneNumber ? `+${phoneNumber}` : null,
-        qr_available: !!qrCodeData,
-        qrcode: qrCodeData,
-        reconnect_attempts: reconnectAttempts,
+        session_id: session.id,
+        connected: session.isConnected,
+        phone_number: session.phoneNumber ? `+${session.phoneNumber}` : null,
+        qr_available: !!session.qrCodeData,
+        qrcode: session.qrCodeData,
+        ...formatPairingStatus(session),
+        reconnect_attempts: session.reconnectAttempts,
         max_attempts: MAX_RECONNECT_ATTEMPTS,
-        initialized: isInitialized
+        initialized: session.isInitialized
     };
 }
 
 /**
- * Forces a full re-initialization of the WhatsApp connection, clearing session and attempting a fresh start.
+ * Returns the status of every known session.
+ * @returns {Array}
  */
-async function forceReconnect() {
+function listSessions() {
+    return Array.from(sessions.keys()).map((sessionId) => getStatus(sessionId));
+}
+
+/**
+ * Forces a full re-initialization of a WhatsApp session, clearing its socket and attempting a fresh start.
+ * @param {string} sessionId - ID sesi, default 'default'.
+ */
+async function forceReconnect(sessionId = DEFAULT_SESSION) {
+    const session = getSession(sessionId);
     try {
-        reconnectAttempts = 0; // Reset attempts for a fresh force reconnect
-        if (sock) {
+        session.reconnectAttempts = 0; // Reset attempts for a fresh force reconnect
+        if (session.sock) {
             try {
-                await sock.logout();
-                console.log('✅ Existing socket logged out for force reconnect.');
+                await session.sock.logout();
+                logger.info('Existing socket logged out for force reconnect', { session: session.id });
             } catch (error) {
-                console.log('⚠️ Error during logout for force reconnect:', error.message);
+                logger.warn('Error during logout for force reconnect', { session: session.id, err: error });
             }
         }
-        sock = null; // Clear socket instance
-        resetConnectionState(); // Reset global connection state
-        await initializeWhatsApp(); // Start a new initialization
+        session.sock = null; // Clear socket instance
+        resetConnectionState(session); // Reset session connection state
+        await initializeWhatsApp(session.id); // Start a new initialization
         return { success: true };
     } catch (error) {
-        console.error('❌ Error force reconnecting:', error.message);
+        logger.error('Error force reconnecting', { session: sessionId, err: error });
         return { success: false, error: error.message };
     }
 }
 
-const LOGIN_HISTORY_PATH = path.resolve(__dirname, './login_history.json');
-
-/**
- * Save login/disconnect activity to history file.
- * @param {object} entry - { action, success, ip_address, user_agent, timestamp, details }
- */
-async function saveLoginHistory(entry) {
-  let history = [];
-  try {
-    if (fs.existsSync(LOGIN_HISTORY_PATH)) {
-      const raw = await fs.promises.readFile(LOGIN_HISTORY_PATH, 'utf-8');
-      history = JSON.parse(raw);
-    }
-  } catch (e) {
-    history = [];
-  }
-  history.unshift(entry); // add to front
-  // Limit history to 1000 entries
-  if (history.length > 1000) history = history.slice(0, 1000);
-  await fs.promises.writeFile(LOGIN_HISTORY_PATH, JSON.stringify(history, null, 2));
-}
-
-/**
- * Get login/disconnect history.
- * @param {number} limit
- * @param {number} offset
- * @returns {Array}
- */
-function getLoginHistory(limit = 10, offset = 0) {
-  try {
-    if (fs.existsSync(LOGIN_HISTORY_PATH)) {
-      const raw = fs.readFileSync(LOGIN_HISTORY_PATH, 'utf-8');
-      const history = JSON.parse(raw);
-      return history.slice(offset, offset + limit);
-    }
-    return [];
-  } catch (e) {
-    return [];
-  }
-}
-let lastDeviceInfo = null; // Tambahkan di atas
 /**
  * Mendeteksi jenis perangkat berdasarkan ID pengguna WhatsApp
  * @param {string} id - ID WhatsApp pengguna
@@ -503,11 +828,13 @@ function getDeviceType(id) {
 }
 
 /**
- * Mendapatkan informasi detail perangkat yang terhubung
+ * Mendapatkan informasi detail perangkat yang terhubung pada sebuah sesi
+ * @param {string} sessionId - ID sesi, default 'default'.
  * @returns {object} - Informasi perangkat
  */
-function getDeviceInfo() {
-    if (!isConnected || !sock?.user) {
+function getDeviceInfo(sessionId = DEFAULT_SESSION) {
+    const session = sessions.get(sessionId);
+    if (!session || !session.isConnected || !session.sock?.user) {
         return {
             jenis_perangkat: 'unknown',
             platform: 'Unknown',
@@ -519,9 +846,9 @@ function getDeviceInfo() {
         };
     }
 
-    const deviceId = sock.user.id;
+    const deviceId = session.sock.user.id;
     const deviceType = getDeviceType(deviceId);
-    const userAgent = lastDeviceInfo || {};
+    const userAgent = session.lastDeviceInfo || {};
 
     return {
         jenis_perangkat: deviceType,
@@ -535,15 +862,18 @@ function getDeviceInfo() {
 }
 
 module.exports = {
+    DEFAULT_SESSION,
+    whatsappEvents,
     prepareWhatsApp,
     initializeWhatsApp,
     sendMessage,
+    checkOnWhatsApp,
     disconnect,
     refreshQR,
     getStatus,
+    listSessions,
+    requestPairingCode,
     cleanup,
     forceReconnect,
-    getDeviceInfo,
-    saveLoginHistory,
-  getLoginHistory,
+    getDeviceInfo
 };
\ No newline at end of file
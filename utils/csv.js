@@ -0,0 +1,46 @@
+/**
+ * Parser CSV sederhana (RFC 4180): field bertanda kutip, "" di dalam kutip,
+ * koma/baris baru di dalam kutip, serta akhir baris CRLF atau LF.
+ * @param {string} text
+ * @returns {string[][]} - Baris berisi field; baris kosong dilewati.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+module.exports = { parseCsv };
@@ -1,33 +1,127 @@
 const crypto = require('crypto');
+const { parsePhoneNumberFromString, validatePhoneNumberLength } = require('libphonenumber-js/max');
 
-function generateId() {
-  return 'TX' + Math.random().toString(36).substr(2, 9).toUpperCase();
+function generateId(prefix = 'TX') {
+  return prefix + Math.random().toString(36).substr(2, 9).toUpperCase();
 }
 
 function generateApiKey() {
   return 'sk_' + crypto.randomBytes(16).toString('hex');
 }
 
-function formatPhoneNumber(phone) {
-  // Remove all non-digits
-  const cleaned = phone.replace(/\D/g, '');
-  
-  // Add 62 prefix if not present (Indonesia default)
-  if (!cleaned.startsWith('62') && cleaned.length > 5) {
-    console.warn(`Phone ${phone} doesn't start with 62. Please verify.`);
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+// Negara untuk nomor lokal (mis. 0812...) yang dikirim tanpa kode negara
+const DEFAULT_PHONE_COUNTRY = (process.env.PHONE_DEFAULT_COUNTRY || 'ID').toUpperCase();
+
+// Jenis nomor yang bisa menerima WhatsApp; getType() kosong berarti tidak diketahui
+const MOBILE_NUMBER_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE', undefined];
+
+const PHONE_ERROR_MESSAGES = {
+  invalid_phone: 'Invalid phone number',
+  invalid_phone_length: 'Phone number has an invalid length for its country',
+  not_mobile_number: 'Phone number is not a mobile number'
+};
+
+/**
+ * Normalisasi nomor ke E.164. Nomor dengan + atau 00 dibaca internasional,
+ * nomor berawalan 0 dibaca lokal di DEFAULT_PHONE_COUNTRY, dan angka lain
+ * dicoba sebagai internasional dulu (format lama '628...') lalu sebagai lokal.
+ * @param {string} phone
+ * @param {object} [options] - { defaultCountry, allowNonMobile }
+ * @returns {object} - { valid: true, phone (tanpa +), e164, country, type } atau { valid: false, error_code }
+ */
+function normalizePhoneNumber(phone, options = {}) {
+  const defaultCountry = options.defaultCountry || DEFAULT_PHONE_COUNTRY;
+  if (typeof phone !== 'string' && typeof phone !== 'number') {
+    return { valid: false, error_code: 'invalid_phone' };
   }
-  
-  return cleaned;
+
+  const input = String(phone).trim();
+  const digits = input.replace(/\D/g, '');
+  if (!digits) {
+    return { valid: false, error_code: 'invalid_phone' };
+  }
+
+  let candidates;
+  if (input.startsWith('+')) {
+    candidates = [['+' + digits]];
+  } else if (digits.startsWith('00')) {
+    candidates = [['+' + digits.slice(2)]];
+  } else if (digits.startsWith('0')) {
+    candidates = [[digits, defaultCountry]];
+  } else {
+    candidates = [['+' + digits], [digits, defaultCountry]];
+  }
+
+  let lengthError = null;
+  let nonMobile = null;
+  for (const [text, country] of candidates) {
+    const parsed = parsePhoneNumberFromString(text, country);
+    if (!parsed || !parsed.isValid()) {
+      if (validatePhoneNumberLength(text, country)) lengthError = 'invalid_phone_length';
+      continue;
+    }
+
+    const type = parsed.getType();
+    if (!options.allowNonMobile && !MOBILE_NUMBER_TYPES.includes(type)) {
+      // Kandidat berikutnya bisa saja nomor seluler, mis. '812...' lokal vs +81 (Jepang)
+      nonMobile = nonMobile || { valid: false, error_code: 'not_mobile_number', country: parsed.country || null };
+      continue;
+    }
+    return {
+      valid: true,
+      phone: parsed.number.slice(1),
+      e164: parsed.number,
+      country: parsed.country || null,
+      type: type || null
+    };
+  }
+
+  return nonMobile || { valid: false, error_code: lengthError || 'invalid_phone' };
+}
+
+/**
+ * Nomor dalam format yang dipakai JID WhatsApp (E.164 tanpa +). Nomor yang tidak
+ * valid dikembalikan sebagai angka saja; validasi dilakukan di middleware.
+ * @param {string} phone
+ * @returns {string}
+ */
+function formatPhoneNumber(phone) {
+  const normalized = normalizePhoneNumber(phone, { allowNonMobile: true });
+  return normalized.valid ? normalized.phone : String(phone).replace(/\D/g, '');
 }
 
 function isValidPhoneNumber(phone) {
-  const cleaned = phone.replace(/\D/g, '');
-  return cleaned.length >= 10 && cleaned.length <= 15;
+  return normalizePhoneNumber(phone).valid;
+}
+
+/**
+ * Menyamarkan nomor untuk tampilan/ekspor: 4 digit awal dan 2 digit akhir terlihat.
+ * @param {string} phone
+ * @returns {string}
+ */
+function maskPhoneNumber(phone) {
+  if (!phone) return phone;
+  const text = String(phone);
+  if (text.length <= 6) return '*'.repeat(text.length);
+  return text.slice(0, 4) + '*'.repeat(text.length - 6) + text.slice(-2);
+}
+
+function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{1,32}$/.test(sessionId);
 }
 
 module.exports = {
   generateId,
   generateApiKey,
+  generateWebhookSecret,
+  PHONE_ERROR_MESSAGES,
+  normalizePhoneNumber,
   formatPhoneNumber,
-  isValidPhoneNumber
+  isValidPhoneNumber,
+  maskPhoneNumber,
+  isValidSessionId
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// Field yang tidak boleh muncul di log, dicocokkan tanpa memperhatikan huruf besar/kecil
+const REDACTED_KEYS = new Set([
+  'password', 'current_password', 'new_password',
+  'api_key', 'apikey', 'x-api-key', 'authorization', 'token', 'access_token', 'refresh_token',
+  'secret', 'webhook_secret', 'otp', 'otp_code', 'code_hash', 'text', 'message_text'
+]);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+// Konteks per request (request_id) yang ikut ke semua log di dalam alur async-nya
+const context = new AsyncLocalStorage();
+
+/**
+ * Menyamarkan field sensitif secara rekursif. Nilai Error diubah menjadi
+ * { name, message, stack } supaya tetap terbaca di JSON.
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    result[key] = REDACTED_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  if (fields instanceof Error) fields = { err: fields };
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact({ ...bindings, ...fields })
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level, msg, log_error: error.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Membuat logger JSON satu baris per entri: { time, level, msg, ...fields }.
+ * @param {object} [bindings] - Field tetap untuk setiap entri, mis. { component: 'queue' }.
+ */
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+/**
+ * Menjalankan fn dengan konteks log tambahan (mis. { request_id }).
+ * @param {object} bindings
+ * @param {function} fn
+ */
+function runWithContext(bindings, fn) {
+  return context.run({ ...context.getStore(), ...bindings }, fn);
+}
+
+/**
+ * Request id dari konteks yang sedang berjalan, jika ada.
+ * @returns {string|null}
+ */
+function getRequestId() {
+  return context.getStore()?.request_id || null;
+}
+
+module.exports = {
+  ...createLogger(),
+  createLogger,
+  runWithContext,
+  getRequestId,
+  redact
+};
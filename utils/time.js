@@ -0,0 +1,96 @@
+// Zona waktu untuk waktu lokal tanpa offset (send_at, analytics) jika request tidak menyebut timezone
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC';
+
+// Tanggal-waktu lokal tanpa offset, mis. '2026-10-20T08:00' atau '2026-10-20 08:00:00'
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Selisih jam dinding zona waktu terhadap UTC pada saat tertentu.
+ * @param {Date} date
+ * @param {string} timeZone - Nama zona IANA, mis. 'Asia/Jakarta'.
+ * @returns {number} - Offset dalam milidetik (positif untuk zona di timur UTC).
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Mengubah string waktu menjadi Date. Waktu dengan offset/Z dipakai apa adanya;
+ * waktu lokal tanpa offset (atau tanggal saja, dibaca pukul 00:00) dibaca sebagai
+ * jam dinding di zona yang diberikan.
+ * @param {string} value
+ * @param {string} [timeZone='UTC']
+ * @returns {Date|null} - null jika tidak valid.
+ */
+function parseDateTimeInZone(value, timeZone = 'UTC') {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const text = DATE_ONLY_PATTERN.test(value.trim()) ? `${value.trim()}T00:00` : value.trim();
+  const match = LOCAL_DATETIME_PATTERN.exec(text);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match.map(part => part && Number(part));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Dua kali supaya tepat di sekitar pergantian DST
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+/**
+ * Tanggal kalender (YYYY-MM-DD) sebuah waktu di zona tertentu.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatDateInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Awal hari (00:00 jam dinding) di zona tertentu, digeser sejumlah hari.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @param {number} [offsetDays=0]
+ * @returns {Date}
+ */
+function startOfDayInZone(date, timeZone, offsetDays = 0) {
+  const [year, month, day] = formatDateInZone(date, timeZone).split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + offsetDays)).toISOString().slice(0, 10);
+  return parseDateTimeInZone(shifted, timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  parseDateTimeInZone,
+  formatDateInZone,
+  startOfDayInZone
+};